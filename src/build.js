@@ -0,0 +1,141 @@
+/**
+ * Batch compilation for the pre-vhs CLI.
+ *
+ * Expands glob patterns to .tape.pre files and compiles each one with a
+ * fresh engine, optionally mirroring the source tree into an output directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createEngine: defaultCreateEngine } = require("./engine");
+const { countErrors } = require("./diagnostics");
+const { writeSourceMap } = require("./sourceMap");
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+/**
+ * Return the directory prefix of a glob pattern that contains no glob syntax.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Static base directory ("." when the pattern starts with a glob)
+ *
+ * @example
+ * globBase("tapes/demos/*.tape.pre") // => "tapes/demos"
+ * globBase("*.tape.pre")              // => "."
+ */
+function globBase(pattern) {
+  const parts = String(pattern).split(/[\\/]/);
+  const staticParts = [];
+  for (const part of parts.slice(0, -1)) {
+    if (GLOB_CHARS.test(part)) break;
+    staticParts.push(part);
+  }
+  if (staticParts.length === 1 && staticParts[0] === "") return path.sep;
+  return staticParts.length ? staticParts.join(path.sep) : ".";
+}
+
+/**
+ * Derive the .tape output name for a .tape.pre input.
+ *
+ * @param {string} inputPath - Input file path
+ * @returns {string} Output file path
+ */
+function tapeOutputName(inputPath) {
+  if (inputPath.endsWith(".tape.pre")) return inputPath.slice(0, -4);
+  const ext = path.extname(inputPath);
+  return `${ext ? inputPath.slice(0, -ext.length) : inputPath}.tape`;
+}
+
+/**
+ * Resolve glob patterns to input/output pairs.
+ *
+ * With `outDir`, each output keeps its path relative to the pattern's
+ * static base. Without it, outputs are written next to their inputs.
+ *
+ * @param {string[]} patterns - Glob patterns or plain file paths
+ * @param {object} [options] - Resolution options
+ * @param {string} [options.outDir] - Output directory
+ * @param {string} [options.cwd] - Directory patterns resolve from
+ * @returns {{ input: string, output: string }[]} Absolute path pairs
+ */
+function resolveBuildTargets(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const seen = new Set();
+  const targets = [];
+
+  for (const pattern of patterns) {
+    const base = path.resolve(cwd, globBase(pattern));
+    const matches = fs.globSync(pattern, { cwd }).sort();
+    for (const match of matches) {
+      const input = path.resolve(cwd, match);
+      if (seen.has(input) || !fs.statSync(input).isFile()) continue;
+      seen.add(input);
+
+      const output = options.outDir
+        ? path.join(
+            path.resolve(cwd, options.outDir),
+            tapeOutputName(path.relative(base, input)),
+          )
+        : tapeOutputName(input);
+      targets.push({ input, output });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Compile every file matched by the given patterns.
+ *
+ * A failure in one file never stops the others; each result records
+ * whether its file compiled and the error when it did not. A file whose
+ * compile reports error diagnostics is written but counts as failed.
+ *
+ * @param {string[]} patterns - Glob patterns or plain file paths
+ * @param {object} [options] - Build options
+ * @param {string} [options.outDir] - Output directory
+ * @param {string} [options.cwd] - Directory patterns resolve from
+ * @param {boolean} [options.sourceMap] - Also write `<output>.map` per file
+ * @param {Function} [options.createEngine] - Engine factory, called with each input path
+ * @returns {{ input: string, output: string, ok: boolean, error?: Error }[]}
+ */
+function buildFiles(patterns, options = {}) {
+  const createEngine = options.createEngine || (() => defaultCreateEngine());
+  const cwd = options.cwd || process.cwd();
+  const results = [];
+
+  for (const target of resolveBuildTargets(patterns, options)) {
+    try {
+      const engine = createEngine(target.input);
+      const input = fs.readFileSync(target.input, "utf8");
+      const output = engine.processText(input, {
+        filename: path.relative(cwd, target.input),
+      });
+      fs.mkdirSync(path.dirname(target.output), { recursive: true });
+      fs.writeFileSync(target.output, output, "utf8");
+      if (options.sourceMap) {
+        writeSourceMap(engine, target.input, target.output);
+      }
+
+      const errors = countErrors(engine.getDiagnostics());
+      if (errors > 0) {
+        throw new Error(
+          `compiled with ${errors} error${errors === 1 ? "" : "s"}`,
+        );
+      }
+      results.push({ ...target, ok: true });
+    } catch (error) {
+      results.push({ ...target, ok: false, error });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  globBase,
+  tapeOutputName,
+  resolveBuildTargets,
+  buildFiles,
+};
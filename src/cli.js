@@ -7,7 +7,27 @@
 const fs = require("fs");
 const path = require("path");
 
-const { createEngine } = require("./engine");
+const {
+  ENGINE_OPTION_CHECKS,
+  loadConfig,
+  applyOverrides,
+  createEngineFromConfig,
+} = require("./config");
+const { watchFile } = require("./watch");
+const { buildFiles } = require("./build");
+const { unifiedDiff } = require("./diff");
+const { formatTraceEvent, explainText } = require("./explain");
+const { formatMacroTable } = require("./inspect");
+const { TEMPLATES, initProject } = require("./init");
+const { runVhs, runVhsOnText } = require("./vhs");
+const { formatDiagnostic, countErrors } = require("./diagnostics");
+const { formatError } = require("./errors");
+const {
+  sourceMapPath,
+  writeSourceMap,
+  readSourceMap,
+  lookupLine,
+} = require("./sourceMap");
 
 // ---------------------------------------------------------------------------
 // Usage text
@@ -15,14 +35,68 @@ const { createEngine } = require("./engine");
 
 const USAGE = `Usage: pre-vhs [options] <input> <output>
        pre-vhs [options] <basename>
+       pre-vhs build [options] <pattern...>
+       pre-vhs explain [options] [input]
+       pre-vhs macros [options] [input]
+       pre-vhs init [options] [name]
+       pre-vhs lookup <tape> <line>
        cat file | pre-vhs [options]
 
+Commands:
+  build <pattern...>   Compile every file matching the glob patterns
+  explain [input]      Print how each directive expands (no output written)
+  macros [input]       List macros available to a tape (or the config)
+  init [name]          Write a starter <name>.tape.pre (default: demo)
+  lookup <tape> <line> Show which .tape.pre line produced a .tape line
+                       (needs the map written by --source-map)
+
 Options:
   -h, --help           Show this help message
+  -w, --watch          Recompile when the input, its includes or its local
+                       packs change
+  --check              Compare compiled output with <output> without writing;
+                       print a diff and exit 1 if they differ
+  --trace              Print the expansion trace to stderr while compiling
+  --source-map         Also write <output>.map, mapping each output line
+                       to its .tape.pre line and macro stack
+  --run                Run vhs on the compiled tape and exit with its code;
+                       with stdin input the tape goes to a temp file
+  --vhs-bin <path>     VHS executable for --run (default: vhs on PATH)
+  -o, --out-dir <dir>  (build) Write outputs under <dir>, keeping the tree
+  -c, --config <file>  Use this config file instead of searching for
+                       pre-vhs.config.js / .prevhsrc.json
+
+Init options:
+  --template <name>    minimal (default), typing-styles or probe
+  --with-config        Also write pre-vhs.config.js
+  --with-test          Also write a golden test (<name>.test.js)
+  --force              Overwrite existing files
+
+Engine options (override the config file):
+  --header-validation <off|warn|error>
+  --max-steps <n>      Max macro expansion steps (default 10000)
+  --max-depth <n>      Max macro recursion depth (default 32)
+  --no-collision-warnings
+                       Do not warn on duplicate macro registration
+  -D, --define <NAME=value>
+                       Set a \${NAME} placeholder value (repeatable)
+  --pack <name|path>   Load a pack before the header (repeatable)
+  --pack-option <pack>.<key>=<value>
+                       Set a pack option; value is parsed as JSON when
+                       possible, e.g. typingStyles.defaultStyle=human
 
 Examples:
   pre-vhs input.tape.pre output.tape
   pre-vhs demo                         # reads demo.tape.pre → writes demo.tape
+  pre-vhs --watch demo                 # rebuilds demo.tape on every save
+  pre-vhs --check demo                 # fails if demo.tape is stale
+  pre-vhs demo --run                   # writes demo.tape, then renders it
+  pre-vhs explain demo.tape.pre        # step through macro expansion
+  pre-vhs lookup demo.tape 187         # where did line 187 come from?
+  pre-vhs init intro --template typing-styles --with-test
+  pre-vhs build "tapes/**/*.tape.pre" --out-dir dist/tapes
+  pre-vhs demo --pack typingStyles --pack-option typingStyles.defaultStyle=human
+  pre-vhs demo --define VERSION=2.3.1
   cat file.tape.pre | pre-vhs > out.tape
 `;
 
@@ -30,17 +104,49 @@ Examples:
 // Argument parsing
 // ---------------------------------------------------------------------------
 
+const COMMANDS = new Set(["build", "explain", "macros", "init", "lookup"]);
+
+/** Value-taking flags that map onto createEngine options. */
+const ENGINE_FLAGS = {
+  "--header-validation": { key: "headerValidation", parse: String },
+  "--max-steps": { key: "maxExpansionSteps", parse: Number },
+  "--max-depth": { key: "maxExpansionDepth", parse: Number },
+};
+
 /**
  * Parse command-line arguments.
  *
+ * Besides the mode (command, input/output paths, build patterns, init
+ * options, lookup line and mode flags), the result carries config
+ * overrides: `engineOptions`, `packs` and `packOptions` (see
+ * config.applyOverrides).
+ *
  * @param {string[]} argv - Process argv array
- * @returns {{ inputPath?: string, outputPath?: string, help: boolean }}
+ * @returns {object} Parsed arguments
  */
 function parseArgs(argv) {
   const args = {
+    command: undefined,
     inputPath: undefined,
     outputPath: undefined,
+    patterns: [],
+    outDir: undefined,
+    configPath: undefined,
+    engineOptions: {},
+    packs: [],
+    packOptions: [],
     help: false,
+    watch: false,
+    check: false,
+    trace: false,
+    sourceMap: false,
+    lookupLine: undefined,
+    run: false,
+    vhsBin: undefined,
+    template: undefined,
+    withConfig: false,
+    withTest: false,
+    force: false,
   };
 
   const raw = argv.slice(2);
@@ -53,16 +159,150 @@ function parseArgs(argv) {
     if (tok === "--help" || tok === "-h") {
       args.help = true;
       i += 1;
+    } else if (tok === "--watch" || tok === "-w") {
+      args.watch = true;
+      i += 1;
+    } else if (tok === "--check") {
+      args.check = true;
+      i += 1;
+    } else if (tok === "--trace") {
+      args.trace = true;
+      i += 1;
+    } else if (tok === "--source-map") {
+      args.sourceMap = true;
+      i += 1;
+    } else if (tok === "--run") {
+      args.run = true;
+      i += 1;
+    } else if (tok === "--vhs-bin") {
+      args.vhsBin = requireValue(raw, i, tok);
+      i += 2;
+    } else if (tok === "--out-dir" || tok === "-o") {
+      args.outDir = requireValue(raw, i, tok);
+      i += 2;
+    } else if (tok === "--config" || tok === "-c") {
+      args.configPath = requireValue(raw, i, tok);
+      i += 2;
+    } else if (tok === "--template") {
+      args.template = requireValue(raw, i, tok);
+      if (!TEMPLATES[args.template]) {
+        usageError(
+          `Unknown template '${args.template}' (expected: ${Object.keys(TEMPLATES).join(", ")})`,
+        );
+      }
+      i += 2;
+    } else if (tok === "--with-config") {
+      args.withConfig = true;
+      i += 1;
+    } else if (tok === "--with-test") {
+      args.withTest = true;
+      i += 1;
+    } else if (tok === "--force") {
+      args.force = true;
+      i += 1;
+    } else if (ENGINE_FLAGS[tok]) {
+      const { key, parse } = ENGINE_FLAGS[tok];
+      const value = parse(requireValue(raw, i, tok));
+      if (!ENGINE_OPTION_CHECKS[key](value)) {
+        usageError(`Invalid value for ${tok}: ${raw[i + 1]}`);
+      }
+      args.engineOptions[key] = value;
+      i += 2;
+    } else if (tok === "--no-collision-warnings") {
+      args.engineOptions.warnOnMacroCollision = false;
+      i += 1;
+    } else if (tok === "--define" || tok === "-D") {
+      const { name, value } = parseDefine(requireValue(raw, i, tok));
+      args.engineOptions.defines = {
+        ...args.engineOptions.defines,
+        [name]: value,
+      };
+      i += 2;
+    } else if (tok === "--pack") {
+      args.packs.push(requireValue(raw, i, tok));
+      i += 2;
+    } else if (tok === "--pack-option") {
+      args.packOptions.push(parsePackOption(requireValue(raw, i, tok)));
+      i += 2;
     } else {
       positional.push(tok);
       i += 1;
     }
   }
 
-  resolvePositionalArgs(args, positional);
+  if (COMMANDS.has(positional[0])) {
+    args.command = positional.shift();
+    resolveCommandArgs(args, positional);
+  } else {
+    resolvePositionalArgs(args, positional);
+  }
   return args;
 }
 
+function usageError(message) {
+  console.error(`Error: ${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function requireValue(raw, index, flag) {
+  const value = raw[index + 1];
+  if (value === undefined || value.startsWith("-")) {
+    usageError(`${flag} requires a value`);
+  }
+  return value;
+}
+
+function parseDefine(text) {
+  const match = text.match(/^([A-Za-z_]\w*)=(.*)$/s);
+  if (!match) {
+    usageError(`--define expects NAME=value, got '${text}'`);
+  }
+  return { name: match[1], value: match[2] };
+}
+
+/**
+ * Parse `<pack>.<key>=<value>`. The key is the text after the last dot
+ * before `=`, so pack paths may contain dots (`./team.js.speed=fast`).
+ *
+ * @param {string} text - Raw flag value
+ * @returns {{ pack: string, key: string, value: * }}
+ */
+function parsePackOption(text) {
+  const eq = text.indexOf("=");
+  const target = eq >= 0 ? text.slice(0, eq) : "";
+  const dot = target.lastIndexOf(".");
+  if (eq < 0 || dot <= 0 || dot === target.length - 1) {
+    usageError(`--pack-option expects <pack>.<key>=<value>, got '${text}'`);
+  }
+
+  const rawValue = text.slice(eq + 1);
+  let value = rawValue;
+  try {
+    value = JSON.parse(rawValue);
+  } catch {
+    // Plain strings need no quoting: defaultStyle=human
+  }
+  return { pack: target.slice(0, dot), key: target.slice(dot + 1), value };
+}
+
+function resolveCommandArgs(args, positional) {
+  if (args.command === "build") {
+    args.patterns = positional;
+  } else if (args.command === "lookup") {
+    const lineNo = Number(positional[1]);
+    if (positional.length !== 2 || !Number.isInteger(lineNo) || lineNo < 1) {
+      usageError("lookup expects <tape> <line>");
+    }
+    args.inputPath = positional[0];
+    args.lookupLine = lineNo;
+  } else if (positional.length > 1) {
+    usageError(`Too many arguments for ${args.command}`);
+  } else {
+    // explain/macros: a single optional input path; init: the tape name
+    args.inputPath = positional[0];
+  }
+}
+
 function resolvePositionalArgs(args, positional) {
   if (positional.length === 2) {
     // Explicit mode: input output
@@ -74,8 +314,7 @@ function resolvePositionalArgs(args, positional) {
     args.inputPath = `${base}.tape.pre`;
     args.outputPath = `${base}.tape`;
   } else if (positional.length > 2) {
-    console.error(`Error: Too many arguments\n\n${USAGE}`);
-    process.exit(1);
+    usageError("Too many arguments");
   }
   // else: stdin/stdout mode (both undefined)
 }
@@ -87,7 +326,10 @@ function resolvePositionalArgs(args, positional) {
 /**
  * Run the CLI with the given arguments.
  *
- * @param {{ inputPath?: string, outputPath?: string, help: boolean }} args
+ * @param {object} args - Parsed arguments (see parseArgs)
+ * @returns {object|boolean|undefined} Watcher handle in watch mode, results in
+ *   build mode, true when the output is up to date in check mode, written
+ *   paths in init mode, the VHS exit code with --run
  */
 function run(args) {
   if (args.help) {
@@ -95,16 +337,154 @@ function run(args) {
     process.exit(0);
   }
 
-  const engine = createEngine();
+  if (args.run && (args.command || args.check || args.watch)) {
+    usageError("--run only applies to compiling a single tape");
+  }
+
+  if (args.watch && args.check) {
+    usageError("--watch cannot be combined with --check");
+  }
+
+  if (args.command && (args.check || args.watch)) {
+    const flag = args.check ? "--check" : "--watch";
+    usageError(`${flag} only applies to compiling a single tape`);
+  }
+
+  if (args.command === "init") {
+    return runInit(args);
+  }
+
+  if (args.command === "lookup") {
+    return runLookup(args);
+  }
+
+  if (args.sourceMap && !args.outputPath && args.command !== "build") {
+    usageError("--source-map requires an output file");
+  }
+
+  const engineFor = createEngineFactory(args);
+
+  if (args.command === "build") {
+    return runBuild(args, engineFor);
+  }
+
+  if (args.command === "explain") {
+    return runExplain(args);
+  }
+
+  if (args.command === "macros") {
+    return runMacros(args, engineFor);
+  }
+
+  if (args.check) {
+    if (!args.inputPath || !args.outputPath) {
+      usageError("--check requires an input file");
+    }
+    return checkFileMode(
+      engineFor(args.inputPath),
+      args.inputPath,
+      args.outputPath,
+    );
+  }
+
+  if (args.watch) {
+    if (!args.inputPath || !args.outputPath) {
+      usageError("--watch requires an input file");
+    }
+    return watchFileMode(args, args.inputPath, args.outputPath);
+  }
 
   if (args.inputPath && args.outputPath) {
-    processFileMode(engine, args.inputPath, args.outputPath);
+    const engine = engineFor(args.inputPath);
+    const tapePath = processFileMode(
+      engine,
+      args.inputPath,
+      args.outputPath,
+      args.sourceMap,
+    );
+    exitOnErrorDiagnostics(engine);
+    if (args.run) {
+      return renderWithVhs((options) => runVhs(tapePath, options), args);
+    }
+  } else if (args.run) {
+    const engine = engineFor();
+    const output = engine.processText(fs.readFileSync(0, "utf8"));
+    exitOnErrorDiagnostics(engine);
+    return renderWithVhs((options) => runVhsOnText(output, options), args);
   } else {
+    const engine = engineFor();
     processStdinMode(engine);
+    exitOnErrorDiagnostics(engine);
+  }
+}
+
+/**
+ * Build a factory that creates a config-aware engine for an input file.
+ * The config is looked up from the input's directory (or the cwd for stdin)
+ * unless --config names one explicitly.
+ *
+ * @param {object} args - Parsed arguments
+ * @returns {(inputPath?: string) => object} Engine factory
+ */
+function createEngineFactory(args) {
+  return (inputPath) =>
+    createEngineFromConfig(
+      findConfig(args, inputPath),
+      runtimeOptions(args, inputPath),
+    );
+}
+
+/**
+ * Engine options that only make sense for this process (not config files):
+ * diagnostics printed to stderr, plus the trace writer with --trace.
+ *
+ * @param {object} args - Parsed arguments
+ * @param {string} [inputPath] - Input file, used to label diagnostics
+ * @returns {object} Extra createEngine options
+ */
+function runtimeOptions(args, inputPath) {
+  const file = inputPath
+    ? path.relative(process.cwd(), path.resolve(process.cwd(), inputPath))
+    : "<stdin>";
+  const options = {
+    onDiagnostic: (diagnostic) =>
+      console.error(formatDiagnostic(diagnostic, { file })),
+  };
+  if (args.trace) {
+    options.onTrace = (event) => {
+      for (const line of formatTraceEvent(event, { file })) {
+        process.stderr.write(`${line}\n`);
+      }
+    };
   }
+  return options;
 }
 
-function processFileMode(engine, inputPath, outputPath) {
+/**
+ * Exit with status 1 when the last compile reported error diagnostics.
+ * Output has already been written at this point, as with warnings.
+ *
+ * @param {object} engine - Engine used for the compile
+ */
+function exitOnErrorDiagnostics(engine) {
+  const errors = countErrors(engine.getDiagnostics());
+  if (errors > 0) {
+    console.error(
+      `[pre-vhs] Compiled with ${errors} error${errors === 1 ? "" : "s"}`,
+    );
+    process.exit(1);
+  }
+}
+
+function findConfig(args, inputPath) {
+  const startDir = inputPath
+    ? path.dirname(path.resolve(process.cwd(), inputPath))
+    : process.cwd();
+  const config = loadConfig({ configPath: args.configPath, startDir });
+  return applyOverrides(config, args);
+}
+
+function resolveFilePaths(inputPath, outputPath) {
   const cwd = process.cwd();
   const resolvedInput = path.resolve(cwd, inputPath);
   const resolvedOutput = path.resolve(cwd, outputPath);
@@ -114,9 +494,264 @@ function processFileMode(engine, inputPath, outputPath) {
     process.exit(1);
   }
 
+  return { resolvedInput, resolvedOutput };
+}
+
+function compileFile(engine, resolvedInput, resolvedOutput, sourceMap) {
   const input = fs.readFileSync(resolvedInput, "utf8");
-  const output = engine.processText(input);
+  const output = engine.processText(input, {
+    filename: path.relative(process.cwd(), resolvedInput),
+  });
   fs.writeFileSync(resolvedOutput, output, "utf8");
+  if (sourceMap) {
+    writeSourceMap(engine, resolvedInput, resolvedOutput);
+  }
+}
+
+function processFileMode(engine, inputPath, outputPath, sourceMap) {
+  const { resolvedInput, resolvedOutput } = resolveFilePaths(
+    inputPath,
+    outputPath,
+  );
+  compileFile(engine, resolvedInput, resolvedOutput, sourceMap);
+  return resolvedOutput;
+}
+
+function checkFileMode(engine, inputPath, outputPath) {
+  const { resolvedInput, resolvedOutput } = resolveFilePaths(
+    inputPath,
+    outputPath,
+  );
+  const label = path.relative(process.cwd(), resolvedOutput);
+
+  const compiled = engine.processText(fs.readFileSync(resolvedInput, "utf8"), {
+    filename: path.relative(process.cwd(), resolvedInput),
+  });
+  exitOnErrorDiagnostics(engine);
+  const committed = fs.existsSync(resolvedOutput)
+    ? fs.readFileSync(resolvedOutput, "utf8")
+    : null;
+
+  // Trailing newlines and CRLF line endings are editor noise, not drift.
+  const expected = (committed ?? "").replace(/\r\n/g, "\n").trimEnd();
+  const actual = compiled.replace(/\r\n/g, "\n").trimEnd();
+  if (committed !== null && expected === actual) {
+    console.log(`[pre-vhs] ${label} is up to date`);
+    return true;
+  }
+
+  process.stdout.write(
+    unifiedDiff(expected, actual, {
+      fromFile: `${label}${committed === null ? " (missing)" : ""}`,
+      toFile: `${label} (compiled)`,
+    }),
+  );
+  console.error(
+    `[pre-vhs] ${label} is out of date with ${path.relative(process.cwd(), resolvedInput)}`,
+  );
+  process.exit(1);
+}
+
+function watchFileMode(args, inputPath, outputPath) {
+  const { resolvedInput, resolvedOutput } = resolveFilePaths(
+    inputPath,
+    outputPath,
+  );
+  const label = path.relative(process.cwd(), resolvedOutput);
+  let configFile = null;
+  let engine = null;
+
+  const watcher = watchFile({
+    inputPath: resolvedInput,
+    createEngine: () => {
+      const config = findConfig(args, resolvedInput);
+      configFile = config ? config.path : null;
+      engine = createEngineFromConfig(config, runtimeOptions(args, inputPath));
+      return engine;
+    },
+    // Included tapes and UseFile libraries of the last build
+    extraFiles: () => [
+      ...(configFile ? [configFile] : []),
+      ...(engine ? engine.getSourceFiles() : []),
+    ],
+    build: (engine) =>
+      compileFile(engine, resolvedInput, resolvedOutput, args.sourceMap),
+    onBuild: () => console.log(`[pre-vhs] Wrote ${label}`),
+    onError: (err) => console.error(formatError(err)),
+  });
+  console.log("[pre-vhs] Watching for changes (Ctrl+C to stop)");
+  return watcher;
+}
+
+/**
+ * Run VHS and pass a failing exit code through to this process.
+ *
+ * @param {(options: object) => number} render - Runs VHS with the given options
+ * @param {object} args - Parsed arguments
+ * @returns {number} VHS exit code (0; any other code exits the process)
+ */
+function renderWithVhs(render, args) {
+  let status;
+  try {
+    status = render({ vhsBin: args.vhsBin });
+  } catch (err) {
+    console.error(`[pre-vhs] Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (status !== 0) {
+    process.exit(status);
+  }
+  return status;
+}
+
+function runBuild(args, engineFor) {
+  if (args.patterns.length === 0) {
+    usageError("build requires at least one pattern");
+  }
+
+  const results = buildFiles(args.patterns, {
+    outDir: args.outDir,
+    sourceMap: args.sourceMap,
+    createEngine: engineFor,
+  });
+  if (results.length === 0) {
+    console.error(`[pre-vhs] No files matched: ${args.patterns.join(" ")}`);
+    process.exit(1);
+  }
+
+  const cwd = process.cwd();
+  const failures = results.filter((r) => !r.ok);
+  for (const result of results) {
+    const input = path.relative(cwd, result.input);
+    if (result.ok) {
+      console.log(`  ok    ${input} → ${path.relative(cwd, result.output)}`);
+    } else {
+      const { error } = result;
+      // Errors inside an `Include`d or `UseFile` file name that file
+      const file = error?.file || input;
+      let at = error?.line
+        ? `${file}:${error.line}:${error.column || 1}`
+        : file;
+      if (file !== input) at = `${input}: ${at}`;
+      console.error(`  fail  ${at}: ${error?.message || error}`);
+      if (error?.frame) {
+        console.error(error.frame.replace(/^/gm, "        "));
+      }
+    }
+  }
+
+  const built = results.length - failures.length;
+  console.log(
+    `[pre-vhs] Built ${built} of ${results.length} file${results.length === 1 ? "" : "s"}` +
+      (failures.length ? `, ${failures.length} failed` : ""),
+  );
+  if (failures.length) {
+    process.exit(1);
+  }
+  return results;
+}
+
+function readInputFile(inputPath) {
+  const resolvedInput = path.resolve(process.cwd(), inputPath);
+  if (!fs.existsSync(resolvedInput)) {
+    console.error(`Input file not found: ${resolvedInput}`);
+    process.exit(1);
+  }
+  return fs.readFileSync(resolvedInput, "utf8");
+}
+
+function runExplain(args) {
+  const input = args.inputPath
+    ? readInputFile(args.inputPath)
+    : fs.readFileSync(0, "utf8");
+
+  const config = findConfig(args, args.inputPath);
+  const { trace } = explainText(input, {
+    filename: args.inputPath,
+    createEngine: (options) =>
+      createEngineFromConfig(config, {
+        ...runtimeOptions(args, args.inputPath),
+        ...options,
+      }),
+  });
+  process.stdout.write(`${trace}\n`);
+  return trace;
+}
+
+function runMacros(args, engineFor) {
+  const engine = engineFor(args.inputPath);
+  const useNames = args.inputPath
+    ? engine.loadHeader(readInputFile(args.inputPath), {
+        filename: args.inputPath,
+      }).useNames
+    : undefined;
+
+  const macros = engine.listMacros();
+  const lines = [formatMacroTable(macros, { useNames })];
+
+  const known = new Set(macros.map((m) => m.name));
+  const unknown = (useNames || []).filter((name) => !known.has(name));
+  if (unknown.length) {
+    lines.push("", `Use names with no registered macro: ${unknown.join(", ")}`);
+  }
+
+  const text = lines.join("\n");
+  console.log(text);
+  return macros;
+}
+
+function runInit(args) {
+  let written;
+  try {
+    written = initProject(args.inputPath, {
+      template: args.template,
+      withConfig: args.withConfig,
+      withTest: args.withTest,
+      force: args.force,
+    });
+  } catch (err) {
+    console.error(`[pre-vhs] Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  for (const file of written) {
+    console.log(`  created  ${path.relative(process.cwd(), file)}`);
+  }
+  return written;
+}
+
+function runLookup(args) {
+  const cwd = process.cwd();
+  const target = path.resolve(cwd, args.inputPath);
+  const mapPath = target.endsWith(".map") ? target : sourceMapPath(target);
+  const map = readSourceMap(mapPath);
+  const mapDir = path.dirname(mapPath);
+  const tapeLabel = path.relative(cwd, path.resolve(mapDir, map.file));
+
+  const origin = lookupLine(map, args.lookupLine);
+  if (!origin) {
+    console.error(
+      `[pre-vhs] No source line recorded for ${tapeLabel}:${args.lookupLine}`,
+    );
+    process.exit(1);
+  }
+
+  const sourcePath = path.resolve(mapDir, map.source);
+  const via = origin.stack.length ? ` (via ${origin.stack.join(" -> ")})` : "";
+  const lines = [
+    `${tapeLabel}:${args.lookupLine} ← ${path.relative(cwd, sourcePath)}:${origin.line}${via}`,
+  ];
+  if (fs.existsSync(sourcePath)) {
+    const sourceLine = fs.readFileSync(sourcePath, "utf8").split(/\r?\n/)[
+      origin.line - 1
+    ];
+    if (sourceLine !== undefined) {
+      lines.push(`  ${origin.line} | ${sourceLine}`);
+    }
+  }
+
+  console.log(lines.join("\n"));
+  return origin;
 }
 
 function processStdinMode(engine) {
@@ -137,7 +772,7 @@ function main() {
     const args = parseArgs(process.argv);
     run(args);
   } catch (err) {
-    console.error(`[pre-vhs] Error: ${err && err.message ? err.message : err}`);
+    console.error(formatError(err));
     process.exit(1);
   }
 }
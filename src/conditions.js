@@ -0,0 +1,146 @@
+/**
+ * Condition expressions for `> If` blocks.
+ *
+ *     > If defined(FAST)
+ *     > If env.CI == "true" && !probe.matched
+ *     > If (mode == "long" || defined(DEMO)) && env.TERM != "dumb"
+ *
+ * Operands are names (resolved by the caller: variables, defines, `env.*`,
+ * conditions registered by packs), quoted strings, numbers, and
+ * `defined(name)`. Operators, loosest first: `||`, `&&`, `==`/`!=`, `!`, so
+ * `!a == "x"` is `(!a) == "x"`; write `!(a == "x")` or `a != "x"` to negate
+ * a comparison. Comparisons are between strings (`!a` is "true" or
+ * "false"); an unset name compares as "". A value on its own is true unless
+ * it is unset, false, "", "0" or "false".
+ */
+
+const TOKEN_RE =
+  /\s*(?:(==|!=|&&|\|\||[!()])|"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|([A-Za-z_][\w.]*)|(\d+(?:\.\d+)?))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const start = TOKEN_RE.lastIndex;
+    if (!text.slice(start).trim()) break;
+    const m = TOKEN_RE.exec(text);
+    if (!m) {
+      const rest = text.slice(start).trim();
+      throw new Error(`Unexpected '${rest[0]}' in condition`);
+    }
+    if (m[1]) tokens.push({ op: m[1] });
+    else if (m[2] !== undefined) tokens.push({ value: unquote(m[2]) });
+    else if (m[3] !== undefined) tokens.push({ value: unquote(m[3]) });
+    else if (m[4]) tokens.push({ name: m[4] });
+    else tokens.push({ value: m[5] });
+  }
+  return tokens;
+}
+
+function unquote(text) {
+  return text.replace(/\\(.)/g, "$1");
+}
+
+function isTrue(value) {
+  if (typeof value === "boolean") return value;
+  if (value === undefined || value === null) return false;
+  const text = String(value);
+  return text !== "" && text !== "0" && text !== "false";
+}
+
+function asString(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Evaluate a condition.
+ *
+ * @param {string} text - Condition text (after `If`)
+ * @param {Function} resolve - `(name) => value`; undefined when unset
+ * @returns {boolean} Whether the condition holds
+ * @throws {Error} On syntax errors
+ */
+function evaluateCondition(text, resolve) {
+  const tokens = tokenize(String(text));
+  let pos = 0;
+
+  const peekOp = (op) => tokens[pos] && tokens[pos].op === op;
+  const expectOp = (op) => {
+    if (!peekOp(op)) throw new Error(`Expected '${op}' in condition`);
+    pos += 1;
+  };
+
+  function parseOr() {
+    let value = parseAnd();
+    while (peekOp("||")) {
+      pos += 1;
+      const right = parseAnd();
+      value = value || right;
+    }
+    return value;
+  }
+
+  function parseAnd() {
+    let value = parseComparison();
+    while (peekOp("&&")) {
+      pos += 1;
+      const right = parseComparison();
+      value = value && right;
+    }
+    return value;
+  }
+
+  function parseComparison() {
+    const left = parseNot();
+    if (peekOp("==") || peekOp("!=")) {
+      const { op } = tokens[pos];
+      pos += 1;
+      const equal = asString(left) === asString(parseNot());
+      return op === "==" ? equal : !equal;
+    }
+    return isTrue(left);
+  }
+
+  // `!` binds tightest: `!a == "x"` is `(!a) == "x"`
+  function parseNot() {
+    if (peekOp("!")) {
+      pos += 1;
+      return !isTrue(parseNot());
+    }
+    return parseOperand();
+  }
+
+  function parseOperand() {
+    const token = tokens[pos];
+    if (!token) throw new Error("Expected a value in condition");
+    pos += 1;
+    if (token.op === "(") {
+      const value = parseOr();
+      expectOp(")");
+      return value;
+    }
+    if (token.op) throw new Error(`Unexpected '${token.op}' in condition`);
+    if (token.value !== undefined) return token.value;
+    if (token.name === "defined" && peekOp("(")) {
+      pos += 1;
+      const arg = tokens[pos];
+      if (!arg || !arg.name) throw new Error("defined() takes a name");
+      pos += 1;
+      expectOp(")");
+      return resolve(arg.name) !== undefined;
+    }
+    return resolve(token.name);
+  }
+
+  if (!tokens.length) throw new Error("Expected a condition");
+  const result = parseOr();
+  if (pos < tokens.length) {
+    const extra = tokens[pos];
+    throw new Error(
+      `Unexpected '${extra.op || extra.name || extra.value}' in condition`,
+    );
+  }
+  return result;
+}
+
+module.exports = { evaluateCondition };
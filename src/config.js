@@ -0,0 +1,277 @@
+/**
+ * Project configuration for the pre-vhs CLI.
+ *
+ * A config file sets engine options and packs for every tape below it:
+ *
+ *     // pre-vhs.config.js
+ *     module.exports = {
+ *       engine: { headerValidation: "warn", defines: { VERSION: "2.3.1" } },
+ *       packs: [
+ *         "builtins",
+ *         { module: "typingStyles", options: { defaultStyle: "human" } },
+ *         { module: "./packs/team.js", autoUse: true },
+ *       ],
+ *     };
+ *
+ * `.prevhsrc.json` takes the same shape as JSON. The CLI looks for one
+ * upward from the tape's directory; the nearest file wins (no merging).
+ * Relative pack paths resolve from the config file's directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createEngine } = require("./engine");
+const { initPacksFromSpecs, resolveModuleId } = require("./packLoader");
+
+const CONFIG_FILE_NAMES = ["pre-vhs.config.js", ".prevhsrc.json"];
+
+const ENGINE_OPTION_CHECKS = {
+  headerValidation: (v) => v === "off" || v === "warn" || v === "error",
+  maxExpansionSteps: (v) => Number.isInteger(v) && v > 0,
+  maxExpansionDepth: (v) => Number.isInteger(v) && v > 0,
+  warnOnMacroCollision: (v) => typeof v === "boolean",
+  defines: (v) => !!v && typeof v === "object" && !Array.isArray(v),
+  includeFilter: (v) =>
+    Array.isArray(v) && v.every((c) => typeof c === "string"),
+};
+
+/**
+ * Find the nearest config file at or above a directory.
+ *
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Absolute config path, or null when none exists
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function readConfigFile(configPath) {
+  if (configPath.endsWith(".json")) {
+    try {
+      return JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid config ${configPath}: ${err.message}`);
+    }
+  }
+  // Always re-read so long-running processes (watch mode) see edits.
+  delete require.cache[configPath];
+  return require(configPath);
+}
+
+function configError(configPath, message) {
+  return new Error(`Invalid config ${configPath}: ${message}`);
+}
+
+/**
+ * Validate a raw config object and normalize it.
+ *
+ * Unknown keys are not fatal: they are collected in `diagnostics` and
+ * reported by the engine that createEngineFromConfig builds.
+ *
+ * @param {object} raw - Parsed config file contents
+ * @param {string} configPath - Config file path (for messages and pack paths)
+ * @returns {{ path: string, baseDir: string, engineOptions: object, packs: Array, diagnostics: object[] }}
+ */
+function normalizeConfig(raw, configPath) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw configError(configPath, "expected an object");
+  }
+
+  const diagnostics = [];
+  const file = path.relative(process.cwd(), configPath);
+  for (const key of Object.keys(raw)) {
+    if (key !== "engine" && key !== "packs") {
+      diagnostics.push({
+        severity: "warning",
+        code: "config-unknown-key",
+        message: `Unknown config key '${key}'`,
+        file,
+      });
+    }
+  }
+
+  const engineOptions = {};
+  for (const [key, value] of Object.entries(raw.engine || {})) {
+    const check = ENGINE_OPTION_CHECKS[key];
+    if (!check) {
+      diagnostics.push({
+        severity: "warning",
+        code: "config-unknown-option",
+        message: `Unknown engine option '${key}'`,
+        file,
+      });
+      continue;
+    }
+    if (!check(value)) {
+      throw configError(
+        configPath,
+        `engine.${key} has invalid value ${JSON.stringify(value)}`,
+      );
+    }
+    engineOptions[key] = value;
+  }
+
+  const packs = raw.packs === undefined ? [] : raw.packs;
+  if (!Array.isArray(packs)) {
+    throw configError(configPath, "packs must be an array");
+  }
+  for (const spec of packs) {
+    const valid =
+      typeof spec === "string" ||
+      (spec && typeof spec === "object" && typeof spec.module === "string");
+    if (!valid) {
+      throw configError(
+        configPath,
+        `pack entries must be a module name or { module, options, autoUse }`,
+      );
+    }
+  }
+
+  return {
+    path: configPath,
+    baseDir: path.dirname(configPath),
+    engineOptions,
+    packs,
+    diagnostics,
+  };
+}
+
+/**
+ * Load a config file, either the given one or the nearest to `startDir`.
+ *
+ * @param {object} [options] - Lookup options
+ * @param {string} [options.startDir] - Directory to search upward from
+ * @param {string} [options.configPath] - Explicit config file (skips lookup)
+ * @returns {{ path: string, baseDir: string, engineOptions: object, packs: Array, diagnostics: object[] }|null}
+ */
+function loadConfig(options = {}) {
+  const configPath = options.configPath
+    ? path.resolve(options.configPath)
+    : findConfigFile(options.startDir || process.cwd());
+  if (!configPath) return null;
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+  return normalizeConfig(readConfigFile(configPath), configPath);
+}
+
+function toResolvedSpec(spec, baseDir) {
+  if (typeof spec === "string") {
+    return { module: resolveModuleId(spec, baseDir), options: {} };
+  }
+  return {
+    ...spec,
+    module: resolveModuleId(spec.module, baseDir),
+    options: { ...(spec.options || {}) },
+  };
+}
+
+/**
+ * Layer command-line overrides on top of a loaded config.
+ *
+ * Engine options replace the config's values, except `defines`, which are
+ * merged name by name. `packs` adds packs that the
+ * config does not already load; `packOptions` sets options on a pack,
+ * loading it first if needed. Pack ids in overrides resolve from `cwd`.
+ *
+ * @param {object|null} config - Result of loadConfig
+ * @param {object} [overrides] - Command-line overrides
+ * @param {object} [overrides.engineOptions] - createEngine options
+ * @param {string[]} [overrides.packs] - Pack names or paths
+ * @param {{ pack: string, key: string, value: * }[]} [overrides.packOptions] - Per-pack options
+ * @param {string} [cwd] - Directory override pack paths resolve from
+ * @returns {object|null} Merged config (null when there is nothing to apply)
+ */
+function applyOverrides(config, overrides = {}, cwd = process.cwd()) {
+  const engineOptions = overrides.engineOptions || {};
+  const packNames = overrides.packs || [];
+  const packOptions = overrides.packOptions || [];
+  if (
+    Object.keys(engineOptions).length === 0 &&
+    packNames.length === 0 &&
+    packOptions.length === 0
+  ) {
+    return config;
+  }
+
+  const base = config || {
+    path: null,
+    baseDir: cwd,
+    engineOptions: {},
+    packs: [],
+  };
+  const packs = base.packs.map((spec) => toResolvedSpec(spec, base.baseDir));
+
+  function findOrAddPack(moduleId) {
+    const resolved = resolveModuleId(moduleId, cwd);
+    let spec = packs.find((p) => p.module === resolved);
+    if (!spec) {
+      spec = { module: resolved, options: {} };
+      packs.push(spec);
+    }
+    return spec;
+  }
+
+  for (const name of packNames) {
+    findOrAddPack(name);
+  }
+  for (const { pack, key, value } of packOptions) {
+    const spec = findOrAddPack(pack);
+    spec.options = { ...spec.options, [key]: value };
+  }
+
+  const mergedEngineOptions = { ...base.engineOptions, ...engineOptions };
+  if (base.engineOptions.defines && engineOptions.defines) {
+    mergedEngineOptions.defines = {
+      ...base.engineOptions.defines,
+      ...engineOptions.defines,
+    };
+  }
+
+  return { ...base, engineOptions: mergedEngineOptions, packs };
+}
+
+/**
+ * Create an engine configured from a loaded config (or defaults when null).
+ * The config's own diagnostics (unknown keys) are reported through the
+ * engine, so they reach its `onDiagnostic` like any other warning.
+ *
+ * @param {object|null} config - Result of loadConfig
+ * @param {object} [extraOptions] - Engine options that are not configurable
+ *   from files (e.g. onTrace); they win over the config's options
+ * @returns {object} Engine instance with config packs already initialized
+ */
+function createEngineFromConfig(config, extraOptions = {}) {
+  const engine = createEngine({
+    ...(config ? config.engineOptions : {}),
+    ...extraOptions,
+  });
+  for (const diagnostic of (config && config.diagnostics) || []) {
+    engine.report(diagnostic);
+  }
+  if (config && config.packs.length > 0) {
+    initPacksFromSpecs(config.packs, engine, config.baseDir);
+  }
+  return engine;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  ENGINE_OPTION_CHECKS,
+  applyOverrides,
+  findConfigFile,
+  loadConfig,
+  normalizeConfig,
+  createEngineFromConfig,
+};
@@ -0,0 +1,91 @@
+/**
+ * Structured diagnostics for pre-vhs.
+ *
+ * Warnings the engine used to print directly (macro collisions, header
+ * validation) are reported as objects instead:
+ *
+ *     {
+ *       severity: "warning",           // "error" | "warning" | "info"
+ *       code: "vhs-collision",         // stable identifier; packs prefix theirs
+ *       message: "Collision detected between custom macro 'Sleep' and VHS command",
+ *       line: 3,                       // 1-based, when known
+ *       column: 1,                     // 1-based, when known
+ *       snippet: "Sleep = Type zz",    // source line, when known
+ *       file: "scenes/intro.tape.pre", // only for `Include`/`UseFile`/config files
+ *     }
+ *
+ * Engines pass them to their `onDiagnostic` option, or print them with
+ * console.warn when none is given.
+ */
+
+const SEVERITIES = new Set(["error", "warning", "info"]);
+
+/**
+ * Normalize a reported diagnostic, filling the snippet and column from the
+ * source lines when only a line number is given.
+ *
+ * @param {object} diagnostic - Reported diagnostic (message is required)
+ * @param {string[]} [lines] - Source lines of the file being compiled
+ * @returns {{ severity: string, code: string, message: string, line?: number, column?: number, snippet?: string, file?: string }}
+ */
+function createDiagnostic(diagnostic, lines = []) {
+  const severity = SEVERITIES.has(diagnostic.severity)
+    ? diagnostic.severity
+    : "warning";
+  const entry = {
+    severity,
+    code: diagnostic.code || "unknown",
+    message: String(diagnostic.message ?? ""),
+  };
+
+  if (Number.isInteger(diagnostic.line) && diagnostic.line > 0) {
+    entry.line = diagnostic.line;
+    const snippet = diagnostic.snippet ?? lines[diagnostic.line - 1];
+    if (snippet !== undefined) entry.snippet = String(snippet);
+    if (Number.isInteger(diagnostic.column) && diagnostic.column > 0) {
+      entry.column = diagnostic.column;
+    } else if (entry.snippet !== undefined) {
+      entry.column = entry.snippet.search(/\S|$/) + 1;
+    }
+  }
+  if (typeof diagnostic.file === "string") entry.file = diagnostic.file;
+  return entry;
+}
+
+/**
+ * Format a diagnostic as text.
+ *
+ * @param {object} diagnostic - Result of createDiagnostic
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.file] - File name to prefix locations with, unless
+ *   the diagnostic names its own (an included or imported file)
+ * @returns {string} One or two lines of text
+ */
+function formatDiagnostic(diagnostic, options = {}) {
+  const file = diagnostic.file || options.file;
+  let where = "";
+  if (file && diagnostic.line) {
+    where = `${file}:${diagnostic.line}:${diagnostic.column || 1}: `;
+  } else if (file) {
+    where = `${file}: `;
+  } else if (diagnostic.line) {
+    where = `line ${diagnostic.line}: `;
+  }
+
+  const text = `[pre-vhs] ${where}${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})`;
+  return diagnostic.snippet !== undefined
+    ? `${text}\n  → ${diagnostic.snippet}`
+    : text;
+}
+
+/**
+ * Count diagnostics with severity "error".
+ *
+ * @param {object[]} diagnostics - Diagnostics to check
+ * @returns {number} Number of errors
+ */
+function countErrors(diagnostics) {
+  return diagnostics.filter((d) => d.severity === "error").length;
+}
+
+module.exports = { createDiagnostic, formatDiagnostic, countErrors };
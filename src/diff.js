@@ -0,0 +1,132 @@
+/**
+ * Minimal line diff for pre-vhs.
+ *
+ * Produces unified diffs between the committed .tape and freshly compiled
+ * output. Uses a plain LCS table after trimming the common prefix/suffix,
+ * which is plenty for tape-sized inputs.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Compute a line-level edit script between two arrays of lines.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {{ type: " "|"-"|"+", line: string }[]} Edit operations in order
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i -= 1) {
+    for (let j = midB.length - 1; j >= 0; j -= 1) {
+      lcs[i * cols + j] =
+        midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ type: " ", line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: " ", line: midA[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ type: "-", line: midA[i] });
+      i += 1;
+    } else {
+      ops.push({ type: "+", line: midB[j] });
+      j += 1;
+    }
+  }
+  for (; i < midA.length; i += 1) ops.push({ type: "-", line: midA[i] });
+  for (; j < midB.length; j += 1) ops.push({ type: "+", line: midB[j] });
+  for (const line of a.slice(endA)) ops.push({ type: " ", line });
+
+  return ops;
+}
+
+function hunkRange(start, count) {
+  // Unified diff convention: an empty range points at the line before it.
+  const first = count === 0 ? start : start + 1;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+/**
+ * Render a unified diff between two texts.
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Updated text
+ * @param {object} [options] - Rendering options
+ * @param {string} [options.fromFile="a"] - Label for the original
+ * @param {string} [options.toFile="b"] - Label for the update
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {string} Unified diff, or "" when the texts are equal
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = "a", toFile = "b", context = DEFAULT_CONTEXT } = options;
+  const oldLines = oldText === "" ? [] : String(oldText).split(/\r?\n/);
+  const newLines = newText === "" ? [] : String(newText).split(/\r?\n/);
+  const ops = diffLines(oldLines, newLines);
+  if (!ops.some((op) => op.type !== " ")) return "";
+
+  // Annotate each op with its position in both files.
+  let oldNo = 0;
+  let newNo = 0;
+  const indexed = ops.map((op) => {
+    const entry = { ...op, oldNo, newNo };
+    if (op.type !== "+") oldNo += 1;
+    if (op.type !== "-") newNo += 1;
+    return entry;
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  let idx = 0;
+  while (idx < indexed.length) {
+    if (indexed[idx].type === " ") {
+      idx += 1;
+      continue;
+    }
+
+    const hunkStart = Math.max(0, idx - context);
+    let hunkEnd = idx;
+    let lastChange = idx;
+    while (hunkEnd < indexed.length && hunkEnd - lastChange <= context * 2) {
+      if (indexed[hunkEnd].type !== " ") lastChange = hunkEnd;
+      hunkEnd += 1;
+    }
+    hunkEnd = Math.min(indexed.length, lastChange + context + 1);
+
+    const hunk = indexed.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter((op) => op.type !== "+").length;
+    const newCount = hunk.filter((op) => op.type !== "-").length;
+    out.push(
+      `@@ -${hunkRange(hunk[0].oldNo, oldCount)} +${hunkRange(hunk[0].newNo, newCount)} @@`,
+    );
+    for (const op of hunk) out.push(`${op.type}${op.line}`);
+
+    idx = hunkEnd;
+  }
+
+  return `${out.join("\n")}\n`;
+}
+
+module.exports = { diffLines, unifiedDiff };
@@ -5,11 +5,27 @@
  * Each engine instance has its own macro registry and transform pipeline.
  */
 
+const fs = require("fs");
+const path = require("path");
+
 const { VHS_COMMANDS } = require("./constants");
-const { formatType, baseCommandName, maxArgIndex } = require("./helpers");
+const {
+  formatType,
+  baseCommandName,
+  escapeDollars,
+  unescapeDollars,
+  placeholderKeys,
+  substitutePlaceholders,
+  maxArgIndex,
+  interpolateDefines,
+} = require("./helpers");
 const { parseFileHeader } = require("./parser");
+const { splitTokens } = require("./tokenizer");
+const { evaluateCondition } = require("./conditions");
+const { createDiagnostic, formatDiagnostic } = require("./diagnostics");
+const { PreVhsError, isPreVhsError, codeFrame } = require("./errors");
 const { createTransformPipeline } = require("./transforms");
-const { initPacksFromSpecs } = require("./packLoader");
+const { initPacksFromSpecs, ensureLoadedPacks } = require("./packLoader");
 
 // ---------------------------------------------------------------------------
 // Default limits
@@ -17,6 +33,95 @@ const { initPacksFromSpecs } = require("./packLoader");
 
 const DEFAULT_MAX_EXPANSION_STEPS = 10000;
 const DEFAULT_MAX_EXPANSION_DEPTH = 32;
+// Commands dropped from an included file's output (they belong to the parent)
+const DEFAULT_INCLUDE_FILTER = ["Output", "Require"];
+
+// ---------------------------------------------------------------------------
+// Sync and async drivers
+// ---------------------------------------------------------------------------
+
+// Expansion is written once, as generators that `yield` every value a macro
+// or transform returns. runSync feeds values straight back; runAsync awaits
+// them first, so async macros and transforms work with processTextAsync.
+
+function isThenable(value) {
+  return !!value && typeof value.then === "function";
+}
+
+function runSync(gen) {
+  let step = gen.next();
+  while (!step.done) {
+    if (isThenable(step.value)) {
+      step.value.then(undefined, () => {});
+      step = gen.throw(
+        new Error(
+          "returned a promise; async macros and transforms need processTextAsync or compileAsync (the pre-vhs CLI compiles synchronously)",
+        ),
+      );
+    } else {
+      step = gen.next(step.value);
+    }
+  }
+  return step.value;
+}
+
+async function runAsync(gen) {
+  let step = gen.next();
+  while (!step.done) {
+    let value;
+    try {
+      value = await step.value;
+    } catch (err) {
+      step = gen.throw(err);
+      continue;
+    }
+    step = gen.next(value);
+  }
+  return step.value;
+}
+
+// ---------------------------------------------------------------------------
+// Block and argument syntax
+// ---------------------------------------------------------------------------
+
+// Header alias definitions (`Name = ...`, `Name(a, b) = ...`)
+const ALIAS_LINE_RE = /^\s*[A-Za-z_]\w*\s*(?:\([^)]*\))?\s*=/;
+
+// `Include ./scenes/install.tape.pre` (a raw body line)
+const INCLUDE_RE = /^\s*Include\s+(\S.*?)\s*$/;
+
+// `> If <condition>`, `> Else` and `> EndIf` lines
+const IF_RE = /^\s*>\s*If(?:\s+(.*?))?\s*$/;
+const ELSE_RE = /^\s*>\s*Else\s*$/;
+const END_IF_RE = /^\s*>\s*EndIf\s*$/;
+
+// `> TypeAndEnter $* <<END` (or `<<~END` to dedent) at the end of a directive
+// that takes arguments; elsewhere (`> Type cat <<EOF`) it is plain text
+const HEREDOC_RE = /(^|\s)<<(~?)([A-Za-z_]\w*)\s*$/;
+
+/** Strip the indentation shared by all non-blank lines. */
+function dedentLines(lines) {
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => line.match(/^[ \t]*/)[0].length);
+  const cut = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(cut));
+}
+
+/**
+ * Strip one pair of matching double or single quotes, unescaping quotes of
+ * the same kind inside them (`"say \"hi\""` → `say "hi"`).
+ */
+function stripQuotes(text) {
+  const quote = /^".*"$/.test(text) || /^'.*'$/.test(text) ? text[0] : "";
+  return quote ? text.slice(1, -1).split(`\\${quote}`).join(quote) : text;
+}
+
+/** Lines in tape text; a final newline ends the last line, it adds none. */
+function countLines(text) {
+  return text === "" ? 0 : text.replace(/\n$/, "").split("\n").length;
+}
+
 // ---------------------------------------------------------------------------
 // Engine factory
 // ---------------------------------------------------------------------------
@@ -29,173 +134,1245 @@ const DEFAULT_MAX_EXPANSION_DEPTH = 32;
  * @param {"off"|"warn"|"error"} [options.headerValidation="off"] - Header validation mode
  * @param {number} [options.maxExpansionSteps] - Max expansion steps before error
  * @param {number} [options.maxExpansionDepth] - Max recursion depth before error
+ * @param {object} [options.defines] - Values for `${NAME}` placeholders
+ * @param {object} [options.env=process.env] - Values for `${env.NAME}` placeholders
+ * @param {string[]} [options.includeFilter=["Output", "Require"]] - Commands
+ *   dropped from the output of `Include`d files
+ * @param {Function} [options.onTrace] - Receives expansion trace events
+ *   ("directive", "macro", "output"); see src/explain.js for a formatter
+ * @param {Function} [options.onDiagnostic] - Receives warnings and other
+ *   diagnostics (see src/diagnostics.js) instead of console.warn
  * @returns {object} Engine instance
  */
 function createEngine(options = {}) {
   const macroRegistry = new Map();
+  const conditionRegistry = new Map();
   const warnOnMacroCollision = options.warnOnMacroCollision !== false;
   const headerValidation = options.headerValidation || "off";
   const MAX_EXPANSION_STEPS =
     options.maxExpansionSteps || DEFAULT_MAX_EXPANSION_STEPS;
   const MAX_EXPANSION_DEPTH =
     options.maxExpansionDepth || DEFAULT_MAX_EXPANSION_DEPTH;
+  const defines = options.defines || {};
+  const env = options.env || process.env;
+  const includeFilter = new Set(
+    options.includeFilter || DEFAULT_INCLUDE_FILTER,
+  );
+  const onTrace =
+    typeof options.onTrace === "function" ? options.onTrace : null;
+  // Trace events name the file being compiled, which differs from the input
+  // inside an `Include`d file
+  const trace =
+    onTrace &&
+    ((event) =>
+      onTrace(
+        sourceName === undefined ? event : { ...event, file: sourceName },
+      ));
+  const onDiagnostic =
+    typeof options.onDiagnostic === "function" ? options.onDiagnostic : null;
 
   const pipeline = createTransformPipeline();
   const engineApi = {
     registerMacros,
-    registerTransform: pipeline.registerTransform,
+    registerTransform,
+    registerConditions,
+    report,
+    createCompileState,
     helpers: { formatType, baseCommandName },
   };
 
   // -------------------------------------------------------------------------
-  // Macro registration
+  // Diagnostics
+  // -------------------------------------------------------------------------
+
+  // Diagnostics reported before the first compile (e.g. while config packs
+  // register) belong to the engine; the rest to the current compile.
+  const setupDiagnostics = [];
+  let compileDiagnostics = null;
+  let sourceLines = [];
+  let sourceName;
+  let compileBaseDir = process.cwd();
+  let lastSourceMap = [];
+  // Files being compiled, outermost first, while an `Include` runs
+  let includeChain = [];
+  // Files whose headers are being loaded by `UseFile`, outermost first
+  let importChain = [];
+  // Absolute paths of the files `Include` and `UseFile` read this compile
+  let sourceFiles = new Set();
+
+  /**
+   * Report a diagnostic for the current compile. Packs receive this as
+   * `engine.report`.
+   *
+   * @param {object} diagnostic - `{ severity, code, message, line?, column?, snippet? }`
+   */
+  function report(diagnostic) {
+    // Diagnostics from an included or imported file name it
+    const entry = createDiagnostic(
+      includeChain.length || importChain.length
+        ? { file: sourceName, ...diagnostic }
+        : diagnostic,
+      sourceLines,
+    );
+    (compileDiagnostics || setupDiagnostics).push(entry);
+    if (onDiagnostic) {
+      onDiagnostic(entry);
+    } else if (entry.severity !== "info") {
+      console.warn(formatDiagnostic(entry));
+    }
+  }
+
+  /**
+   * Diagnostics from engine setup plus the most recent compile.
+   *
+   * @returns {object[]} Diagnostics in report order
+   */
+  function getDiagnostics() {
+    return [...setupDiagnostics, ...(compileDiagnostics || [])];
+  }
+
+  // -------------------------------------------------------------------------
+  // Per-compilation scope
+  // -------------------------------------------------------------------------
+
+  // Every compile starts from the engine's setup state (built-in macros plus
+  // whatever was registered before the first compile, e.g. config packs).
+  // Macros, transforms and packs a compile registers (header aliases and
+  // `Pack` lines) are journaled and undone when the next compile starts, so
+  // one engine gives the same result as a fresh one for each tape.
+  let journal = null;
+  let recording = false;
+  let packsBeforeCompile = new Set();
+  let compileScope = new Map();
+
+  /**
+   * Create per-compilation state for a pack. Packs receive this as
+   * `engine.createCompileState`.
+   *
+   * @param {Function} init - Returns the initial state; called once per compile
+   * @returns {Function} Getter for the current compile's state object
+   */
+  function createCompileState(init) {
+    const key = Symbol("compileState");
+    return () => {
+      if (!compileScope.has(key)) compileScope.set(key, init());
+      return compileScope.get(key);
+    };
+  }
+
+  function beginCompile() {
+    if (recording) {
+      throw new Error(
+        "Engine is already compiling (await processTextAsync before compiling again)",
+      );
+    }
+    reset();
+    journal = { macros: [], transforms: [], conditions: [], packs: [] };
+    packsBeforeCompile = new Set(ensureLoadedPacks(engineApi));
+    recording = true;
+  }
+
+  function endCompile() {
+    recording = false;
+    journal.packs = packsSinceCompileBegan();
+  }
+
+  function packsSinceCompileBegan() {
+    return [...ensureLoadedPacks(engineApi)].filter(
+      (p) => !packsBeforeCompile.has(p),
+    );
+  }
+
+  function undoJournal(entries) {
+    for (const { name, entry, previous } of [...entries.macros].reverse()) {
+      // Leave definitions replaced since (e.g. by registerMacros) alone
+      if (macroRegistry.get(name) !== entry) continue;
+      if (previous) macroRegistry.set(name, previous);
+      else macroRegistry.delete(name);
+    }
+    for (const { phase, fn } of [...entries.transforms].reverse()) {
+      pipeline.unregisterTransform(phase, fn);
+    }
+    for (const { name, previous } of [...entries.conditions].reverse()) {
+      if (previous) conditionRegistry.set(name, previous);
+      else conditionRegistry.delete(name);
+    }
+    const loaded = ensureLoadedPacks(engineApi);
+    for (const pack of entries.packs) loaded.delete(pack);
+  }
+
+  function redoJournal(entries) {
+    for (const { name, entry } of entries.macros)
+      macroRegistry.set(name, entry);
+    for (const { phase, fn } of entries.transforms) {
+      pipeline.registerTransform(phase, fn);
+    }
+    for (const { name, fn } of entries.conditions) {
+      conditionRegistry.set(name, fn);
+    }
+    const loaded = ensureLoadedPacks(engineApi);
+    for (const pack of entries.packs) loaded.add(pack);
+  }
+
+  /**
+   * Run a compile nested in the current one (an `Include`d file). The
+   * current compile's aliases, packs, transforms and pack state are set
+   * aside, so the nested one starts from the engine's setup state like any
+   * other compile, and are restored when it finishes.
+   *
+   * @param {Function} run - Returns the generator that compiles the file
+   * @returns {Generator<*, *>} What `run`'s generator returns
+   */
+  function* nestedCompile(run) {
+    journal.packs = packsSinceCompileBegan();
+    const saved = {
+      journal,
+      packsBeforeCompile,
+      compileScope,
+      compileDiagnostics,
+      sourceLines,
+      sourceName,
+      compileBaseDir,
+      lastSourceMap,
+    };
+    undoJournal(journal);
+    journal = { macros: [], transforms: [], conditions: [], packs: [] };
+    packsBeforeCompile = new Set(ensureLoadedPacks(engineApi));
+    compileScope = new Map();
+    try {
+      return yield* run();
+    } finally {
+      journal.packs = packsSinceCompileBegan();
+      undoJournal(journal);
+      saved.compileDiagnostics.push(...(compileDiagnostics || []));
+      ({
+        journal,
+        packsBeforeCompile,
+        compileScope,
+        compileDiagnostics,
+        sourceLines,
+        sourceName,
+        compileBaseDir,
+        lastSourceMap,
+      } = saved);
+      redoJournal(journal);
+    }
+  }
+
+  /**
+   * Undo everything the last compile registered and clear its state,
+   * diagnostics and source map. Compiles do this themselves before they
+   * start; call it to release a long-lived engine between uses.
+   */
+  function reset() {
+    if (journal) {
+      undoJournal(journal);
+      journal = null;
+    }
+    compileScope = new Map();
+    compileDiagnostics = null;
+    sourceLines = [];
+    sourceName = undefined;
+    compileBaseDir = process.cwd();
+    lastSourceMap = [];
+    includeChain = [];
+    importChain = [];
+    sourceFiles = new Set();
+  }
+
+  // -------------------------------------------------------------------------
+  // Registration
   // -------------------------------------------------------------------------
 
+  function registerTransform(phase, fn) {
+    pipeline.registerTransform(phase, fn);
+    if (recording) journal.transforms.push({ phase, fn });
+  }
+
+  /**
+   * Register named values for `> If` conditions (`probe.matched`). Packs
+   * receive this as `engine.registerConditions`.
+   *
+   * @param {Object<string, Function>} conditions - Name to a function that
+   *   returns the current value (boolean or string, synchronously)
+   */
+  function registerConditions(conditions) {
+    if (!conditions || typeof conditions !== "object") return;
+    for (const [name, fn] of Object.entries(conditions)) {
+      if (typeof fn !== "function") continue;
+      if (recording) {
+        journal.conditions.push({
+          name,
+          fn,
+          previous: conditionRegistry.get(name),
+        });
+      }
+      conditionRegistry.set(name, fn);
+    }
+  }
+
   function registerMacros(macros, macroOptions = {}) {
     if (!macros || typeof macros !== "object") return;
     const requireUse = macroOptions.requireUse !== false;
     const warnVhsCollision = macroOptions.warnVhsCollision === true;
 
+    const line =
+      macroOptions.source?.kind === "header" ? macroOptions.source.line : null;
+
     for (const [name, fn] of Object.entries(macros)) {
       if (typeof fn !== "function") continue;
 
-      if (warnOnMacroCollision && macroRegistry.has(name)) {
-        console.warn(
-          `[pre-vhs] Duplicate macro registration for '${name}', last definition wins`,
-        );
+      const previous = macroRegistry.get(name);
+      if (warnOnMacroCollision && previous) {
+        // Point at aliases imported with `UseFile`
+        const where = previous.source?.file
+          ? ` (also defined in ${previous.source.file} line ${previous.source.line})`
+          : "";
+        report({
+          severity: "warning",
+          code: "duplicate-macro",
+          message: `Duplicate macro registration for '${name}', last definition wins${where}`,
+          line,
+        });
       }
       if (warnVhsCollision && VHS_COMMANDS.has(name)) {
-        console.warn(
-          `[pre-vhs] WARNING: Collision detected between custom macro '${name}' and VHS command`,
-        );
+        report({
+          severity: "warning",
+          code: "vhs-collision",
+          message: `Collision detected between custom macro '${name}' and VHS command`,
+          line,
+        });
       }
-      macroRegistry.set(name, { fn, requireUse });
+      const entry = {
+        fn,
+        requireUse,
+        source: macroOptions.source || { kind: "api" },
+      };
+      if (recording) journal.macros.push({ name, entry, previous });
+      macroRegistry.set(name, entry);
     }
   }
 
+  /**
+   * List registered macros in registration order.
+   *
+   * `source` says where the winning definition came from:
+   * `{ kind: "builtin" }`, `{ kind: "pack", path }`, `{ kind: "header", line }`
+   * (with `file` for aliases imported by `UseFile`) or `{ kind: "api" }` for
+   * direct registerMacros calls.
+   *
+   * @returns {{ name: string, requireUse: boolean, source: object, shadowsVhs: boolean }[]}
+   */
+  function listMacros() {
+    return [...macroRegistry].map(([name, entry]) => ({
+      name,
+      requireUse: entry.requireUse,
+      source: entry.source,
+      shadowsVhs: VHS_COMMANDS.has(name),
+    }));
+  }
+
   // -------------------------------------------------------------------------
-  // Built-in Type macro (always-on)
+  // Built-in Type, Let and Repeat macros (always-on)
   // -------------------------------------------------------------------------
 
-  registerMacros(
-    {
-      Type(_payload, rawCmd) {
-        const remainder = rawCmd.replace(/^Type\b/, "").trim();
+  const builtinMacros = {
+    Type(_payload, rawCmd) {
+      const remainder = rawCmd.replace(/^Type\b/, "").trim();
 
-        // If already backtick-wrapped, treat as final VHS
-        if (/^`.*`$/.test(remainder)) {
-          return [rawCmd.trim()];
-        }
+      // If already backtick-wrapped, treat as final VHS
+      if (/^`.*`$/.test(remainder)) {
+        return [rawCmd.trim()];
+      }
 
-        // Strip simple matching quotes to avoid double-quoting
-        const stripped =
-          /^".*"$/.test(remainder) || /^'.*'$/.test(remainder)
-            ? remainder.slice(1, -1)
-            : remainder;
+      // Strip simple matching quotes to avoid double-quoting
+      const text = stripQuotes(remainder) || _payload || "";
+      return [formatType(text)];
+    },
 
-        const text = stripped || _payload || "";
-        return [formatType(text)];
-      },
+    Let(_payload, rawCmd, _args, ctx) {
+      const m = /^Let\s+([A-Za-z_]\w*)\s*=\s*([\s\S]*)$/.exec(rawCmd.trim());
+      if (!m) throw new Error("expected 'Let name = value'");
+      const [, name, value] = m;
+      if (Object.prototype.hasOwnProperty.call(defines, name)) {
+        report({
+          severity: "warning",
+          code: "let-define",
+          message: `'${name}' is also a compile-time define; \${${name}} keeps the defined value`,
+          line: ctx.lineNo,
+        });
+      }
+      const scopes = letScopes();
+      scopes[scopes.length - 1].set(name, stripQuotes(value.trim()));
+      return [];
     },
-    { requireUse: false },
-  );
+
+    // Expanded by the engine (see expandTokenList and processRepeatBlock)
+    Repeat() {
+      return [];
+    },
+  };
+
+  builtinMacros.Repeat.repeat = true;
+
+  registerMacros(builtinMacros, {
+    requireUse: false,
+    source: { kind: "builtin" },
+  });
+
+  // -------------------------------------------------------------------------
+  // Variables (`Let`)
+  // -------------------------------------------------------------------------
+
+  // One scope for the tape plus one per macro being expanded, so a `Let` in
+  // an alias body lasts until the alias finishes. Lookups see outer scopes.
+  const letScopes = createCompileState(() => [new Map()]);
+
+  function lookupVariable(name) {
+    const scopes = letScopes();
+    for (let i = scopes.length - 1; i >= 0; i -= 1) {
+      if (scopes[i].has(name)) return scopes[i].get(name);
+    }
+    return undefined;
+  }
+
+  // Innermost `Repeat` iteration last, for `$i` and `$n`
+  const repeatFrames = createCompileState(() => []);
+
+  /**
+   * Replace `${name}` with `Let` values in a token, and `$i`/`$n` with the
+   * innermost `Repeat` index and count. `${name:-x}` uses `x` when the
+   * variable is unset or empty. `$${name}` and `$$i` are literal.
+   */
+  function interpolateVariables(token) {
+    const frames = repeatFrames();
+    const frame = frames[frames.length - 1];
+    return String(token).replace(
+      /\$(\$|\{([A-Za-z_]\w*)(?::-([^}]*))?\}|([in])\b)/g,
+      (match, _inner, name, fallback, repeatKey) => {
+        let value;
+        if (name) value = lookupVariable(name);
+        else if (repeatKey && frame) value = frame[repeatKey];
+        if (fallback !== undefined && !value) return fallback;
+        return value === undefined ? match : escapeDollars(value);
+      },
+    );
+  }
+
+  /**
+   * Replace `${name}` with `Let` values in payload and raw lines, which are
+   * usually shell text: `${name:-x}` only falls back for a variable that is
+   * set but empty, and other `${...}` and `$i` are left for the shell.
+   * `$${` is a literal `${`.
+   */
+  function interpolatePayload(text) {
+    return String(text).replace(
+      /\$(\$(?=\{)|\{([A-Za-z_]\w*)(?::-([^}]*))?\})/g,
+      (match, _inner, name, fallback) => {
+        if (!name) return "$";
+        const value = lookupVariable(name);
+        if (value === undefined) return match;
+        return fallback !== undefined && !value ? fallback : value;
+      },
+    );
+  }
 
   // -------------------------------------------------------------------------
   // Argument substitution
   // -------------------------------------------------------------------------
 
+  // Tokens are templates (see helpers.substitutePlaceholders): `$$` stays
+  // escaped until the token is emitted or passed to a macro.
   function substituteArgs(str, args) {
-    let result = String(str).replace(/\$\*/g, () => args["*"] ?? "");
-    result = result.replace(/\$(\d+)/g, (_m, n) => args[Number(n)] ?? "");
-    return result;
+    return substitutePlaceholders(str, (key) => args[key] ?? "");
   }
 
   // -------------------------------------------------------------------------
   // Main processing function
   // -------------------------------------------------------------------------
 
-  function processText(input) {
-    const allLines = String(input).split(/\r?\n/);
-    const { macrosFromHeader, useNames, bodyLines, bodyStartIndex, packPaths } =
-      parseFileHeader(allLines, headerValidation);
+  /**
+   * Parse a file's header, load its packs and register its aliases,
+   * without processing the body.
+   *
+   * @param {string} input - .tape.pre source
+   * @param {object} [compileOptions] - Per-compile options
+   * @param {string} [compileOptions.filename] - Input name for error messages
+   * @param {string} [compileOptions.baseDir] - Directory header `Pack` paths
+   *   resolve from (default: the current working directory)
+   * @returns {{ useNames: string[], bodyLines: string[], bodyStartIndex: number }}
+   * @throws {PreVhsError} On header errors and packs that fail to load
+   */
+  function loadHeader(input, compileOptions = {}) {
+    beginCompile();
+    try {
+      return loadHeaderInScope(input, compileOptions);
+    } finally {
+      endCompile();
+    }
+  }
+
+  // `packDir` overrides where header `Pack` paths resolve from (an
+  // `Include`d file's own directory)
+  function loadHeaderInScope(input, compileOptions, packDir) {
+    sourceName = compileOptions.filename;
+    compileBaseDir = compileOptions.baseDir || process.cwd();
+    try {
+      return parseAndLoadHeader(input, packDir || compileBaseDir);
+    } catch (err) {
+      throw withSourceContext(err);
+    }
+  }
 
-    const useSet = new Set(useNames);
-    if (packPaths.length > 0) {
-      initPacksFromSpecs(packPaths, engineApi, process.cwd());
+  function parseAndLoadHeader(input, packDir) {
+    compileDiagnostics = [];
+    if (sourceName) {
+      importedFiles().add(path.resolve(compileBaseDir, sourceName));
     }
-    registerMacros(macrosFromHeader, {
-      requireUse: false,
-      warnVhsCollision: true,
+    return loadHeaderLines(input, packDir);
+  }
+
+  function loadHeaderLines(input, packDir) {
+    // Placeholders are resolved before parsing, so they work the same in
+    // header aliases, directive tokens, payload lines and raw VHS lines.
+    const rawLines = String(input).split(/\r?\n/);
+    const kinds = lineKinds(rawLines);
+    const allLines = rawLines.map((line, i) =>
+      interpolateDefines(line, defines, env, {
+        template: kinds[i].template,
+        // `Let` variables can fill these later, except in the header
+        deferFallbacks: !kinds[i].headerStatement,
+      }),
+    );
+    sourceLines = allLines;
+    const {
+      macrosFromHeader,
+      aliasLines,
+      useNames,
+      bodyLines,
+      bodyStartIndex,
+      packPaths,
+      packLines,
+      useFilePaths,
+      useFileLines,
+    } = parseFileHeader(allLines, headerValidation, report);
+
+    packPaths.forEach((packPath, i) => {
+      try {
+        initPacksFromSpecs([packPath], engineApi, packDir);
+      } catch (err) {
+        if (isPreVhsError(err)) throw err;
+        throw new PreVhsError(
+          // Node's module errors append a require stack; keep the reason
+          `Could not load pack '${packPath}': ${String(err.message).split("\n")[0]}`,
+          { code: "pack-load", line: packLines[i], cause: err },
+        );
+      }
+    });
+    useFilePaths.forEach((target, i) => {
+      useNames.push(...importUseFile(target, useFileLines[i]));
     });
+    const file = importChain.length ? sourceName : undefined;
+    for (const [name, macro] of Object.entries(macrosFromHeader)) {
+      registerMacros(
+        { [name]: macro },
+        {
+          requireUse: false,
+          warnVhsCollision: true,
+          source: file
+            ? { kind: "header", line: aliasLines[name], file }
+            : { kind: "header", line: aliasLines[name] },
+        },
+      );
+    }
+
+    return { useNames, bodyLines, bodyStartIndex };
+  }
+
+  /**
+   * Classify source lines before interpolation. Header aliases and
+   * directives are templates (`$1`, `$$`); payload lines, raw VHS lines and
+   * header statements (`Pack`, `Use`, ...) are literal text.
+   */
+  function lineKinds(lines) {
+    const { bodyStartIndex } = parseFileHeader(lines, "off", () => {});
+    return lines.map((line, i) => {
+      if (i >= bodyStartIndex) {
+        return { template: /^\s*>/.test(line), headerStatement: false };
+      }
+      const alias = ALIAS_LINE_RE.test(line);
+      return { template: alias, headerStatement: !alias };
+    });
+  }
+
+  // Files whose headers this compile has loaded (the input and `UseFile`s)
+  const importedFiles = createCompileState(() => new Set());
+
+  /**
+   * `UseFile <path>` loads the header of another .tape.pre file (its `Pack`
+   * and `Use` lines and aliases) and ignores its body. The path resolves
+   * from the importing file's directory, and `Pack` paths in the file from
+   * its own; each file is loaded once per compile, so shared and circular
+   * imports are harmless.
+   *
+   * @returns {string[]} Names from the file's `Use` lines
+   */
+  function importUseFile(target, lineNo) {
+    const { name, resolved } = resolveSourcePath(target);
+    if (importedFiles().has(resolved)) return [];
+    importedFiles().add(resolved);
+    sourceFiles.add(resolved);
+
+    let text;
+    try {
+      text = fs.readFileSync(resolved, "utf8");
+    } catch (err) {
+      throw new PreVhsError(`Could not read UseFile '${name}'`, {
+        code: "usefile-read",
+        line: lineNo,
+        cause: err,
+      });
+    }
+
+    const saved = { sourceLines, sourceName };
+    sourceName = name;
+    importChain.push(name);
+    try {
+      return loadHeaderLines(text, path.dirname(resolved)).useNames;
+    } catch (err) {
+      throw withSourceContext(err);
+    } finally {
+      importChain.pop();
+      ({ sourceLines, sourceName } = saved);
+    }
+  }
+
+  /**
+   * Resolve a path written in the current file (`Include`, `UseFile`)
+   * relative to that file.
+   *
+   * @returns {{ name: string, resolved: string }} The path as shown in
+   *   messages (joined onto the current file's name) and the absolute path
+   */
+  function resolveSourcePath(target) {
+    const name = path.isAbsolute(target)
+      ? target
+      : path.join(path.dirname(sourceName || "."), target);
+    return { name, resolved: path.resolve(compileBaseDir, name) };
+  }
+
+  /**
+   * Compile .tape.pre text to VHS tape text.
+   *
+   * @param {string} input - .tape.pre source
+   * @param {object} [compileOptions] - Per-compile options (see compile)
+   * @returns {string} Compiled tape
+   * @throws {PreVhsError} With the location and a code frame of the failure
+   */
+  function processText(input, compileOptions = {}) {
+    return compileText(input, compileOptions).output;
+  }
+
+  /**
+   * Compile .tape.pre text, awaiting macros and transforms that return
+   * promises. Calls on one engine run one after another.
+   *
+   * @param {string} input - .tape.pre source
+   * @param {object} [compileOptions] - Per-compile options (see compile)
+   * @returns {Promise<string>} Compiled tape
+   * @throws {PreVhsError} With the location and a code frame of the failure
+   */
+  async function processTextAsync(input, compileOptions = {}) {
+    return (await compileTextAsync(input, compileOptions)).output;
+  }
+
+  /**
+   * Compile .tape.pre text and report what happened along the way.
+   *
+   * @param {string} input - .tape.pre source
+   * @param {object} [compileOptions] - Per-compile options
+   * @param {string} [compileOptions.filename] - Input name for error messages
+   * @param {string} [compileOptions.baseDir] - Directory header `Pack` paths
+   *   resolve from (default: the current working directory)
+   * @returns {{
+   *   output: string,
+   *   diagnostics: object[],
+   *   packs: string[],
+   *   macrosInvoked: string[],
+   *   unusedUseNames: string[],
+   *   stats: { steps: number, maxDepth: number, outputLines: number },
+   *   sourceMap: object[],
+   *   files: string[],
+   * }} Output plus metadata: packs loaded into the engine (resolved paths or
+   *   module ids), macros in order of first invocation, `Use` names whose
+   *   macro never ran, expansion statistics and the files read with
+   *   `Include` or `UseFile`
+   * @throws {PreVhsError} With the location and a code frame of the failure
+   */
+  function compile(input, compileOptions = {}) {
+    return compileResult(compileText(input, compileOptions));
+  }
+
+  /**
+   * Async version of compile (see processTextAsync).
+   *
+   * @param {string} input - .tape.pre source
+   * @param {object} [compileOptions] - Per-compile options (see compile)
+   * @returns {Promise<object>} Same result as compile
+   */
+  async function compileAsync(input, compileOptions = {}) {
+    return compileResult(await compileTextAsync(input, compileOptions));
+  }
+
+  function compileResult({ output, useNames, state }) {
+    const invoked = state.macrosInvoked;
+    return {
+      output,
+      diagnostics: getDiagnostics(),
+      packs: [...ensureLoadedPacks(engineApi)],
+      macrosInvoked: [...invoked],
+      unusedUseNames: [...new Set(useNames)].filter((n) => !invoked.has(n)),
+      stats: {
+        steps: state.expansionSteps,
+        maxDepth: state.maxDepth,
+        outputLines: countLines(output),
+      },
+      sourceMap: getSourceMap(),
+      files: getSourceFiles(),
+    };
+  }
+
+  function compileText(input, compileOptions) {
+    beginCompile();
+    try {
+      return runSync(compileInScope(input, compileOptions));
+    } finally {
+      endCompile();
+    }
+  }
+
+  // Async compiles share the engine's per-compile scope, so they queue.
+  let asyncQueue = Promise.resolve();
+
+  function compileTextAsync(input, compileOptions) {
+    const run = asyncQueue.then(async () => {
+      beginCompile();
+      try {
+        return await runAsync(compileInScope(input, compileOptions));
+      } finally {
+        endCompile();
+      }
+    });
+    asyncQueue = run.catch(() => {});
+    return run;
+  }
+
+  function* compileInScope(input, compileOptions, packDir) {
+    const { useNames, bodyLines, bodyStartIndex } = loadHeaderInScope(
+      input,
+      compileOptions,
+      packDir,
+    );
+    const useSet = new Set(useNames);
 
     const output = [];
-    const state = { lastEmittedBase: "", expansionSteps: 0 };
+    const state = {
+      lastEmittedBase: "",
+      expansionSteps: 0,
+      // Deepest macro nesting reached, and macros run (in first-call order)
+      maxDepth: 0,
+      macrosInvoked: new Set(),
+      // Macro stack of each expanded line of the current directive, and the
+      // origin of each emitted output line (see getSourceMap)
+      leafStacks: [],
+      origins: [],
+    };
+
+    try {
+      yield* processBodyLines(bodyLines, bodyStartIndex, useSet, output, state);
+    } catch (err) {
+      throw withSourceContext(err);
+    }
+
+    const finalized = yield* pipeline.applyFinalizeTransforms(output);
+    lastSourceMap = buildSourceMap(finalized, output, state.origins);
+    return {
+      output: finalized.join("\n"),
+      lines: finalized,
+      useNames,
+      state,
+    };
+  }
+
+  /**
+   * Map each output line back to the input.
+   *
+   * Entry `i` describes output line `i + 1`: the 1-based input `line` of the
+   * directive (or raw VHS line) that produced it, and the macro `stack` it
+   * was expanded through. Entries are null when a finalize transform changed
+   * the number of lines, since lines can then no longer be matched up.
+   */
+  function buildSourceMap(finalized, emitted, origins) {
+    if (finalized.length !== emitted.length) {
+      return finalized
+        .join("\n")
+        .split("\n")
+        .map(() => null);
+    }
+    const map = [];
+    finalized.forEach((line, i) => {
+      // A macro may return a multi-line string; each part is its own line.
+      const count = String(line).split("\n").length;
+      for (let k = 0; k < count; k += 1) map.push(origins[i]);
+    });
+    return map;
+  }
+
+  /**
+   * Files the most recent compile read with `Include` or `UseFile`,
+   * including those it failed on, so a watcher can rebuild when they change.
+   *
+   * @returns {string[]} Absolute paths, in the order they were first read
+   */
+  function getSourceFiles() {
+    return [...sourceFiles];
+  }
+
+  /**
+   * Source map of the most recent processText call.
+   *
+   * @returns {({ line: number, stack: string[] }|null)[]} One entry per output line
+   */
+  function getSourceMap() {
+    return lastSourceMap.map((entry) =>
+      entry ? { line: entry.line, stack: [...entry.stack] } : null,
+    );
+  }
+
+  // -------------------------------------------------------------------------
+  // Errors
+  // -------------------------------------------------------------------------
+
+  function engineError(code, message, ctx, macroStack, cause) {
+    return new PreVhsError(message, {
+      code,
+      line: ctx.lineNo,
+      endLine: ctx.endLineNo,
+      column: directiveColumn(ctx.lineNo, macroStack[0]),
+      macroStack,
+      cause,
+    });
+  }
 
-    processBodyLines(bodyLines, bodyStartIndex, useSet, output, state);
+  /** 1-based column of `name` in a directive line (else of its first token). */
+  function directiveColumn(lineNo, name) {
+    const text = sourceLines[lineNo - 1] || "";
+    const start = (text.match(/^\s*>?\s*/) || [""])[0].length;
+    const at = name ? text.indexOf(name, start) : -1;
+    return (at >= 0 ? at : start) + 1;
+  }
 
-    return pipeline.applyFinalizeTransforms(output).join("\n");
+  /** Fill in the file name and code frame of an error from this compile. */
+  function withSourceContext(err) {
+    if (!isPreVhsError(err)) return err;
+    if (err.file === undefined) err.file = sourceName;
+    if (err.line && !err.frame) {
+      if (!err.column) err.column = directiveColumn(err.line);
+      err.frame = codeFrame(sourceLines, {
+        line: err.line,
+        endLine: err.endLine,
+        column: err.column,
+      });
+    }
+    return err;
   }
 
   // -------------------------------------------------------------------------
   // Body processing
   // -------------------------------------------------------------------------
 
-  function processBodyLines(bodyLines, bodyStartIndex, useSet, output, state) {
+  function* processBodyLines(bodyLines, bodyStartIndex, useSet, output, state) {
     let i = 0;
     while (i < bodyLines.length) {
       const line = bodyLines[i];
       const lineNo = bodyStartIndex + i + 1;
 
-      if (/^\s*>\s*/.test(line)) {
-        i = processDirectiveLine(
-          line,
-          lineNo,
-          bodyLines,
-          i,
+      try {
+        if (isRepeatOpen(line)) {
+          i = yield* processRepeatBlock(
+            line,
+            lineNo,
+            bodyLines,
+            i,
+            bodyStartIndex,
+            useSet,
+            output,
+            state,
+          );
+        } else if (isRepeatClose(line)) {
+          throw new PreVhsError("'> EndRepeat' without a matching '> Repeat'", {
+            code: "unmatched-block",
+            line: lineNo,
+          });
+        } else if (INCLUDE_RE.test(line)) {
+          yield* processInclude(line, lineNo, output, state);
+        } else if (IF_RE.test(line)) {
+          i = yield* processIfBlock(
+            line,
+            lineNo,
+            bodyLines,
+            i,
+            bodyStartIndex,
+            useSet,
+            output,
+            state,
+          );
+        } else if (ELSE_RE.test(line) || END_IF_RE.test(line)) {
+          throw new PreVhsError(`'${line.trim()}' without a matching '> If'`, {
+            code: "unmatched-block",
+            line: lineNo,
+          });
+        } else if (/^\s*>\s*/.test(line)) {
+          i = yield* processDirectiveLine(
+            line,
+            lineNo,
+            bodyLines,
+            i,
+            useSet,
+            output,
+            state,
+          );
+        } else {
+          // `\>` at the start of a raw line emits a literal `>`
+          const raw = interpolatePayload(line.replace(/^(\s*)\\>/, "$1>"));
+          yield* emitWithPostTransforms([raw], { lineNo }, output, state);
+        }
+      } catch (err) {
+        // Errors from transforms; macro and limit errors are already typed
+        if (isPreVhsError(err)) throw err;
+        throw new PreVhsError(err.message, {
+          code: "transform-error",
+          line: lineNo,
+          cause: err,
+        });
+      }
+      i += 1;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Include
+  // -------------------------------------------------------------------------
+
+  /**
+   * `Include <path>` compiles another .tape.pre file on its own (it does not
+   * see this file's aliases, packs or modifiers) and splices its output in
+   * place, minus `includeFilter` commands and the empty line a final
+   * newline leaves. The path resolves from the including file's directory,
+   * and `Pack` paths in the included file from its own.
+   * Its expansion stats and invoked macros count toward this compile's.
+   */
+  function* processInclude(line, lineNo, output, state) {
+    const { name, resolved } = resolveSourcePath(
+      stripQuotes(INCLUDE_RE.exec(line)[1]),
+    );
+
+    const chain = includeChain.length
+      ? includeChain
+      : [
+          {
+            name: sourceName || "<input>",
+            resolved: sourceName && path.resolve(compileBaseDir, sourceName),
+          },
+        ];
+    if (chain.some((file) => file.resolved === resolved)) {
+      const cycle = [...chain.map((file) => file.name), name].join(" -> ");
+      throw new PreVhsError(`Include cycle: ${cycle}`, {
+        code: "include-cycle",
+        line: lineNo,
+      });
+    }
+
+    sourceFiles.add(resolved);
+    let text;
+    try {
+      text = fs.readFileSync(resolved, "utf8");
+    } catch (err) {
+      throw new PreVhsError(`Could not read included file '${name}'`, {
+        code: "include-read",
+        line: lineNo,
+        cause: err,
+      });
+    }
+
+    const baseDir = compileBaseDir;
+    const outerChain = includeChain;
+    includeChain = [...chain, { name, resolved }];
+    let included;
+    try {
+      included = yield* nestedCompile(() =>
+        compileInScope(
+          text,
+          { filename: name, baseDir },
+          path.dirname(resolved),
+        ),
+      );
+    } finally {
+      includeChain = outerChain;
+    }
+
+    const nested = included.state;
+    state.expansionSteps += nested.expansionSteps;
+    state.maxDepth = Math.max(state.maxDepth, nested.maxDepth);
+    for (const name of nested.macrosInvoked) state.macrosInvoked.add(name);
+
+    const lines = included.lines;
+    if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+    for (const l of lines) {
+      const base = baseCommandName(l);
+      if (includeFilter.has(base)) continue;
+      output.push(l);
+      state.origins.push({ line: lineNo, stack: [] });
+      if (base) state.lastEmittedBase = base;
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Blocks
+  // -------------------------------------------------------------------------
+
+  /** The only token of a directive line (`> Repeat 3`), else null. */
+  function soleDirectiveToken(line) {
+    const m = /^\s*>\s*(.*)$/.exec(line);
+    if (!m) return null;
+    const { tokens } = splitTokens(m[1]);
+    return tokens.length === 1 ? tokens[0] : null;
+  }
+
+  function isRepeatOpen(line) {
+    const token = soleDirectiveToken(line);
+    return (
+      token !== null &&
+      baseCommandName(token) === "Repeat" &&
+      macroRegistry.get("Repeat")?.fn?.repeat === true
+    );
+  }
+
+  function isRepeatClose(line) {
+    return soleDirectiveToken(line) === "EndRepeat";
+  }
+
+  /**
+   * Find the line closing the block opened at `start` (-1 if there is none),
+   * and the lines at the block's own level that `isMiddle` matches (`Else`).
+   */
+  function findBlockEnd(bodyLines, start, isOpen, isClose, isMiddle) {
+    let depth = 1;
+    const middle = [];
+    for (let j = start + 1; j < bodyLines.length; j += 1) {
+      if (isOpen(bodyLines[j])) depth += 1;
+      else if (isClose(bodyLines[j])) depth -= 1;
+      else if (depth === 1 && isMiddle && isMiddle(bodyLines[j]))
+        middle.push(j);
+      if (depth === 0) return { end: j, middle };
+    }
+    return { end: -1, middle };
+  }
+
+  /**
+   * `> Repeat N` alone on a line repeats the lines up to its `> EndRepeat`,
+   * processing them as body lines (directives, payloads and raw VHS).
+   */
+  function* processRepeatBlock(
+    line,
+    lineNo,
+    bodyLines,
+    start,
+    bodyStartIndex,
+    useSet,
+    output,
+    state,
+  ) {
+    const { end } = findBlockEnd(bodyLines, start, isRepeatOpen, isRepeatClose);
+    if (end < 0) {
+      throw new PreVhsError("'> Repeat' has no matching '> EndRepeat'", {
+        code: "unmatched-block",
+        line: lineNo,
+      });
+    }
+
+    const ctx = { lineNo, endLineNo: bodyStartIndex + end + 1 };
+    const countText = soleDirectiveToken(line).replace(/^\S+/, "");
+    const count = repeatCount(interpolateVariables(countText), ctx, ["Repeat"]);
+    const inner = bodyLines.slice(start + 1, end);
+    for (let index = 1; index <= count; index += 1) {
+      yield* inRepeatIteration(
+        index,
+        count,
+        processBodyLines(
+          inner,
+          bodyStartIndex + start + 1,
           useSet,
           output,
           state,
-        );
-      } else {
-        emitWithPostTransforms([line], { lineNo }, output, state);
-      }
-      i += 1;
+        ),
+        state,
+        ctx,
+        [],
+      );
     }
+    return end;
   }
 
-  function processDirectiveLine(
+  const isIfOpen = (line) => IF_RE.test(line);
+  const isElse = (line) => ELSE_RE.test(line);
+  const isEndIf = (line) => END_IF_RE.test(line);
+
+  /**
+   * `> If <condition>` processes the lines up to its `> Else` (or
+   * `> EndIf`) when the condition holds, and those after `> Else` when not.
+   */
+  function* processIfBlock(
     line,
     lineNo,
     bodyLines,
-    currentIndex,
+    start,
+    bodyStartIndex,
     useSet,
     output,
     state,
   ) {
-    const headerText = line.replace(/^\s*>\s*/, "");
-    let tokens = headerText
-      .split(",")
-      .map((s) => s.trim())
-      .filter(Boolean);
+    const { end, middle } = findBlockEnd(
+      bodyLines,
+      start,
+      isIfOpen,
+      isEndIf,
+      isElse,
+    );
+    if (end < 0) {
+      throw new PreVhsError("'> If' has no matching '> EndIf'", {
+        code: "unmatched-block",
+        line: lineNo,
+      });
+    }
+    if (middle.length > 1) {
+      throw new PreVhsError("'> If' has more than one '> Else'", {
+        code: "unmatched-block",
+        line: bodyStartIndex + middle[1] + 1,
+      });
+    }
+
+    let holds;
+    try {
+      holds = evaluateCondition(
+        IF_RE.exec(line)[1] || "",
+        resolveConditionName,
+      );
+    } catch (err) {
+      throw new PreVhsError(err.message, {
+        code: "invalid-condition",
+        line: lineNo,
+        cause: err,
+      });
+    }
 
-    tokens = pipeline.applyHeaderTransforms(tokens, { lineNo, headerText });
+    const elseAt = middle.length ? middle[0] : end;
+    const [from, to] = holds ? [start + 1, elseAt] : [elseAt + 1, end];
+    if (from < to) {
+      yield* processBodyLines(
+        bodyLines.slice(from, to),
+        bodyStartIndex + from,
+        useSet,
+        output,
+        state,
+      );
+    }
+    return end;
+  }
 
-    const { effectiveMaxIdx, hasStar } = analyzeArguments(tokens);
-    const { args, newIndex } = consumeArguments(
+  /** Value of a name in an `If` condition, or undefined when unset. */
+  function resolveConditionName(name) {
+    if (name.startsWith("env.")) return env[name.slice(4)];
+    if (conditionRegistry.has(name)) return conditionRegistry.get(name)();
+    const value = lookupVariable(name);
+    if (value !== undefined) return value;
+    return Object.prototype.hasOwnProperty.call(defines, name)
+      ? defines[name]
+      : undefined;
+  }
+
+  function* processDirectiveLine(
+    line,
+    lineNo,
+    bodyLines,
+    currentIndex,
+    useSet,
+    output,
+    state,
+  ) {
+    const headerText = line.replace(/^\s*>\s*/, "");
+    const heredoc = matchHeredoc(
+      headerText,
+      line,
+      lineNo,
       bodyLines,
       currentIndex,
-      effectiveMaxIdx,
-      hasStar,
     );
+    const { tokens: split, issues } = splitTokens(
+      heredoc ? headerText.slice(0, heredoc.index) : headerText,
+    );
+    const headerColumn = line.length - headerText.length;
+    for (const issue of issues) {
+      report({
+        severity: "warning",
+        code: "unterminated-quote",
+        message: issue.message,
+        line: lineNo,
+        column: headerColumn + issue.column,
+      });
+    }
+
+    const tokens = yield* pipeline.applyHeaderTransforms(split, {
+      lineNo,
+      headerText,
+    });
+
+    const { effectiveMaxIdx, hasStar } = analyzeArguments(tokens);
+    const { args, newIndex } = heredoc
+      ? consumeHeredocArguments(
+          bodyLines,
+          currentIndex,
+          effectiveMaxIdx,
+          hasStar,
+          {
+            delimiter: heredoc[3],
+            dedent: heredoc[2] === "~",
+            line: lineNo,
+            column: headerColumn + heredoc.index + heredoc[1].length + 1,
+          },
+        )
+      : consumeArguments(bodyLines, currentIndex, effectiveMaxIdx, hasStar);
+    for (const key of Object.keys(args)) {
+      args[key] = interpolatePayload(args[key]);
+    }
+
+    if (trace) {
+      trace({
+        type: "directive",
+        lineNo,
+        headerText,
+        tokens: [...tokens],
+        args: { positional: args.slice(1), star: args["*"] },
+      });
+    }
 
     const payload = args[1] || args["*"] || "";
-    expandAndEmitTokens(
+    yield* expandAndEmitTokens(
       tokens,
       payload,
       args,
       useSet,
-      lineNo,
-      headerText,
+      { lineNo, endLineNo: lineNo + newIndex - currentIndex, headerText },
       output,
       state,
     );
@@ -203,6 +1380,34 @@ function createEngine(options = {}) {
     return newIndex;
   }
 
+  /**
+   * Match `<<END` at the end of a directive. It only opens argument blocks
+   * when the directive asks for arguments explicitly (`$1`, `$*`, or a macro
+   * that takes `$*`), so `> Type cat <<EOF` still types the shell heredoc.
+   * When such a line is followed by an `EOF` line, an info diagnostic says
+   * how to get a block instead.
+   */
+  function matchHeredoc(headerText, line, lineNo, bodyLines, currentIndex) {
+    const heredoc = headerText.match(HEREDOC_RE);
+    if (!heredoc) return null;
+    const { tokens } = splitTokens(headerText.slice(0, heredoc.index));
+    const { maxIdx, hasStar } = analyzeArguments(tokens);
+    if (maxIdx > 0 || hasStar) return heredoc;
+
+    const delimiter = heredoc[3];
+    const rest = bodyLines.slice(currentIndex + 1);
+    if (rest.some((l) => l.trim() === delimiter)) {
+      report({
+        severity: "info",
+        code: "literal-heredoc",
+        message: `'<<${delimiter}' is typed as text; add $* to the directive to take the lines up to '${delimiter}' as a block`,
+        line: lineNo,
+        column: line.lastIndexOf("<<") + 1,
+      });
+    }
+    return null;
+  }
+
   function analyzeArguments(tokens) {
     let eachLineIndex = -1;
     for (let i = 0; i < tokens.length; i += 1) {
@@ -232,7 +1437,7 @@ function createEngine(options = {}) {
       tokensForArgs.some((c) => c.trim() === "Type");
     const effectiveMaxIdx = hasBareType ? 1 : maxIdx;
 
-    return { effectiveMaxIdx, hasStar };
+    return { effectiveMaxIdx, maxIdx, hasStar };
   }
 
   function consumeArguments(bodyLines, currentIndex, effectiveMaxIdx, hasStar) {
@@ -264,18 +1469,67 @@ function createEngine(options = {}) {
     return { args, newIndex: i };
   }
 
-  function expandAndEmitTokens(
+  /**
+   * Consume arguments written as `<<END` blocks: each positional argument,
+   * then `$*`, takes the lines up to the next line reading `END`. Blank
+   * lines are kept; `<<~END` strips the block's common indentation.
+   */
+  function consumeHeredocArguments(
+    bodyLines,
+    currentIndex,
+    effectiveMaxIdx,
+    hasStar,
+    { delimiter, dedent, line, column },
+  ) {
+    const args = [];
+    let i = currentIndex;
+    let terminated = true;
+
+    const readBlock = () => {
+      const lines = [];
+      while (terminated) {
+        if (i + 1 >= bodyLines.length) {
+          terminated = false;
+          report({
+            severity: "warning",
+            code: "unterminated-heredoc",
+            message: `Missing '${delimiter}' line to end the argument block`,
+            line,
+            column,
+          });
+          break;
+        }
+        i += 1;
+        if (bodyLines[i].trim() === delimiter) break;
+        lines.push(bodyLines[i]);
+      }
+      return (dedent ? dedentLines(lines) : lines).join("\n");
+    };
+
+    for (let k = 1; k <= effectiveMaxIdx; k++) {
+      args[k] = readBlock();
+    }
+    if (hasStar) {
+      args["*"] = readBlock();
+      if (effectiveMaxIdx < 1) args[1] = args["*"];
+    }
+
+    return { args, newIndex: i };
+  }
+
+  function* expandAndEmitTokens(
     tokens,
     payload,
     args,
     useSet,
-    lineNo,
-    headerText,
+    location,
     output,
     state,
   ) {
-    const ctx = { lineNo, headerText, tokenIndex: 0 };
-    const expanded = expandTokenList(
+    const { lineNo } = location;
+    const ctx = { ...location, tokenIndex: 0 };
+    state.leafStacks = [];
+    const expanded = yield* expandTokenList(
       tokens,
       payload,
       args,
@@ -285,14 +1539,23 @@ function createEngine(options = {}) {
       state,
       null,
     );
-    emitWithPostTransforms(expanded, ctx, output, state);
+    const emitted = yield* emitWithPostTransforms(
+      expanded,
+      ctx,
+      output,
+      state,
+      state.leafStacks,
+    );
+    if (trace) {
+      trace({ type: "output", lineNo, lines: emitted });
+    }
   }
 
   // -------------------------------------------------------------------------
   // Token expansion
   // -------------------------------------------------------------------------
 
-  function expandTokenRecursive(
+  function* expandTokenRecursive(
     token,
     payload,
     args,
@@ -304,16 +1567,17 @@ function createEngine(options = {}) {
     checkExpansionLimits(state, stack, ctx);
     state.expansionSteps += 1;
 
-    const hadPlaceholders = /\$(\d+)/.test(token) || /\$\*/.test(token);
-    const withArgs = substituteArgs(token, args);
-    const preTokens = pipeline.applyPreExpandTransforms(withArgs, ctx);
+    const call = splitNamedArgs(interpolateVariables(token), args);
+    const hadPlaceholders = placeholderKeys(call.token).length > 0;
+    const withArgs = substituteArgs(call.token, args);
+    const preTokens = yield* pipeline.applyPreExpandTransforms(withArgs, ctx);
 
     const results = [];
     for (const tok of preTokens) {
       const trimmed = tok.trim();
       if (!trimmed) continue;
       results.push(
-        ...expandSingleToken(
+        ...(yield* expandSingleToken(
           trimmed,
           payload,
           args,
@@ -322,23 +1586,47 @@ function createEngine(options = {}) {
           stack,
           state,
           hadPlaceholders,
-        ),
+          call.named,
+        )),
       );
     }
 
     return results;
   }
 
+  /**
+   * Split trailing `name=value` words off a call to a macro that declares
+   * named parameters (header aliases with a signature). This runs before
+   * `$n` substitution, so payload text is never taken for a named value.
+   */
+  function splitNamedArgs(token, args) {
+    const params = macroRegistry.get(baseCommandName(token))?.fn?.params;
+    if (!Array.isArray(params)) return { token, named: null };
+
+    const named = {};
+    let text = String(token).trim();
+    for (;;) {
+      const m = /\s+([A-Za-z_]\w*)=(\S*)$/.exec(text);
+      if (!m || !params.includes(m[1]) || m[1] in named) break;
+      named[m[1]] = unescapeDollars(substituteArgs(m[2], args));
+      text = text.slice(0, m.index);
+    }
+    return { token: text, named };
+  }
+
   function checkExpansionLimits(state, stack, ctx) {
     if (state.expansionSteps >= MAX_EXPANSION_STEPS) {
       const chain = stack.length ? ` (stack: ${stack.join(" -> ")})` : "";
-      throw new Error(
+      throw engineError(
+        "expansion-steps",
         `Macro expansion exceeded ${MAX_EXPANSION_STEPS} steps around line ${ctx.lineNo}${chain}`,
+        ctx,
+        stack,
       );
     }
   }
 
-  function expandSingleToken(
+  function* expandSingleToken(
     trimmed,
     payload,
     args,
@@ -347,27 +1635,68 @@ function createEngine(options = {}) {
     stack,
     state,
     hadPlaceholders,
+    named,
   ) {
     const base = baseCommandName(trimmed);
     const entry = macroRegistry.get(base);
     const isActive = entry && (entry.requireUse === false || useSet.has(base));
 
     if (!entry || !isActive) {
-      return [trimmed];
+      state.leafStacks.push(stack);
+      return [unescapeDollars(trimmed)];
     }
 
     validateRecursion(base, stack, ctx);
+    state.maxDepth = Math.max(state.maxDepth, stack.length + 1);
+    state.macrosInvoked.add(base);
 
     const { payloadForCall, effectiveArgs } = prepareCallArgs(
       trimmed,
       payload,
       args,
       hadPlaceholders,
+      named,
     );
-    const macroResult = entry.fn(payloadForCall, trimmed, effectiveArgs, ctx);
+    let macroResult;
+    try {
+      // Async macros return promises; compileAsync awaits them
+      macroResult = yield entry.fn(
+        payloadForCall,
+        unescapeDollars(trimmed),
+        effectiveArgs,
+        ctx,
+      );
+    } catch (err) {
+      if (isPreVhsError(err)) throw err;
+      throw engineError(
+        "macro-error",
+        `Macro '${base}' failed: ${err && err.message ? err.message : err}`,
+        ctx,
+        [...stack, base],
+        err,
+      );
+    }
+    if (trace) {
+      trace({
+        type: "macro",
+        lineNo: ctx.lineNo,
+        name: base,
+        token: trimmed,
+        payload: payloadForCall,
+        stack: [...stack, base],
+        result: Array.isArray(macroResult) ? [...macroResult] : [],
+      });
+    }
+
+    // Results are literal text unless the macro returns templates (header
+    // aliases), so a `$` that came from a payload is never substituted again
+    const resultTokens =
+      Array.isArray(macroResult) && entry.fn.template !== true
+        ? macroResult.map((t) => (typeof t === "string" ? escapeDollars(t) : t))
+        : macroResult;
 
-    return expandMacroResult(
-      macroResult,
+    return yield* expandMacroResult(
+      resultTokens,
       base,
       payloadForCall,
       effectiveArgs,
@@ -380,20 +1709,28 @@ function createEngine(options = {}) {
 
   function validateRecursion(base, stack, ctx) {
     if (stack.includes(base)) {
-      throw new Error(
+      throw engineError(
+        "macro-recursion",
         `Macro recursion detected: ${[...stack, base].join(" -> ")}`,
+        ctx,
+        [...stack, base],
       );
     }
     if (stack.length >= MAX_EXPANSION_DEPTH) {
       const chain = ` (stack: ${stack.join(" -> ")})`;
-      throw new Error(
+      throw engineError(
+        "expansion-depth",
         `Macro expansion depth exceeded ${MAX_EXPANSION_DEPTH} near line ${ctx.lineNo}${chain}`,
+        ctx,
+        stack,
       );
     }
   }
 
-  function prepareCallArgs(trimmed, payload, args, hadPlaceholders) {
-    const remainderText = trimmed.replace(/^\S+\s*/, "").trim();
+  function prepareCallArgs(trimmed, payload, args, hadPlaceholders, named) {
+    const remainderText = unescapeDollars(
+      trimmed.replace(/^\S+\s*/, "").trim(),
+    );
     const payloadForCall = hadPlaceholders
       ? payload
       : remainderText || payload || "";
@@ -405,11 +1742,14 @@ function createEngine(options = {}) {
     if (remainderText && !hadPlaceholders) {
       effectiveArgs[1] = remainderText;
     }
+    if (named) {
+      effectiveArgs.named = named;
+    }
 
     return { payloadForCall, effectiveArgs };
   }
 
-  function expandMacroResult(
+  function* expandMacroResult(
     result,
     base,
     payload,
@@ -420,19 +1760,25 @@ function createEngine(options = {}) {
     state,
   ) {
     const arr = Array.isArray(result) ? result : [];
-    return expandTokenList(
-      arr,
-      payload,
-      args,
-      useSet,
-      ctx,
-      [...stack, base],
-      state,
-      base,
-    );
+    const scopes = letScopes();
+    scopes.push(new Map());
+    try {
+      return yield* expandTokenList(
+        arr,
+        payload,
+        args,
+        useSet,
+        ctx,
+        [...stack, base],
+        state,
+        base,
+      );
+    } finally {
+      scopes.pop();
+    }
   }
 
-  function expandTokenList(
+  function* expandTokenList(
     tokens,
     payload,
     args,
@@ -451,7 +1797,8 @@ function createEngine(options = {}) {
       const tokenCtx = { ...ctx, tokenIndex: idx };
       const base = baseCommandName(trimmed);
       if (blockBase && base === blockBase) {
-        expanded.push(String(raw));
+        state.leafStacks.push(stack);
+        expanded.push(unescapeDollars(raw));
         continue;
       }
 
@@ -459,10 +1806,42 @@ function createEngine(options = {}) {
       const isActive =
         entry && (entry.requireUse === false || useSet.has(base));
 
+      if (isActive && entry.fn?.repeat === true) {
+        const countText = trimmed.replace(/^\S+/, "");
+        const count = repeatCount(
+          substituteArgs(interpolateVariables(countText), args),
+          tokenCtx,
+          [...stack, base],
+        );
+        const templateTokens = tokens.slice(idx + 1);
+        for (let index = 1; index <= count; index += 1) {
+          expanded.push(
+            ...(yield* inRepeatIteration(
+              index,
+              count,
+              expandTokenList(
+                templateTokens,
+                payload,
+                args,
+                useSet,
+                tokenCtx,
+                stack,
+                state,
+                blockBase,
+              ),
+              state,
+              tokenCtx,
+              stack,
+            )),
+          );
+        }
+        break;
+      }
+
       if (isActive && entry.fn?.eachLine === true) {
         const templateTokens = buildEachLineTemplate(tokens, idx, trimmed);
         expanded.push(
-          ...expandEachLine(
+          ...(yield* expandEachLine(
             templateTokens,
             payload,
             args,
@@ -471,13 +1850,13 @@ function createEngine(options = {}) {
             stack,
             state,
             blockBase,
-          ),
+          )),
         );
         break;
       }
 
       expanded.push(
-        ...expandTokenRecursive(
+        ...(yield* expandTokenRecursive(
           raw,
           payload,
           args,
@@ -485,12 +1864,50 @@ function createEngine(options = {}) {
           tokenCtx,
           stack,
           state,
-        ),
+        )),
       );
     }
     return expanded;
   }
 
+  // -------------------------------------------------------------------------
+  // Repeat
+  // -------------------------------------------------------------------------
+
+  function repeatCount(text, ctx, macroStack) {
+    const value = unescapeDollars(text).trim();
+    if (!/^\d+$/.test(value)) {
+      throw engineError(
+        "macro-error",
+        `Macro 'Repeat' failed: expected a count, got '${value}'`,
+        ctx,
+        macroStack,
+      );
+    }
+    return Number(value);
+  }
+
+  /**
+   * Run one iteration's expansion with `$i`/`$n` (and the variables
+   * `${i}`/`${n}`) set. Every iteration counts as an expansion step.
+   */
+  function* inRepeatIteration(index, count, gen, state, ctx, stack) {
+    checkExpansionLimits(state, stack, ctx);
+    state.expansionSteps += 1;
+
+    const frame = { i: String(index), n: String(count) };
+    const frames = repeatFrames();
+    const scopes = letScopes();
+    frames.push(frame);
+    scopes.push(new Map(Object.entries(frame)));
+    try {
+      return yield* gen;
+    } finally {
+      frames.pop();
+      scopes.pop();
+    }
+  }
+
   function buildEachLineTemplate(tokens, startIndex, trimmedToken) {
     const template = [];
     const remainder = trimmedToken.replace(/^EachLine\b/, "").trim();
@@ -504,7 +1921,7 @@ function createEngine(options = {}) {
     return template;
   }
 
-  function expandEachLine(
+  function* expandEachLine(
     templateTokens,
     payload,
     args,
@@ -531,7 +1948,7 @@ function createEngine(options = {}) {
       perLineArgs[1] = line;
 
       out.push(
-        ...expandTokenList(
+        ...(yield* expandTokenList(
           templateTokens,
           line,
           perLineArgs,
@@ -540,7 +1957,7 @@ function createEngine(options = {}) {
           stack,
           state,
           blockBase,
-        ),
+        )),
       );
     }
 
@@ -551,10 +1968,12 @@ function createEngine(options = {}) {
   // Output emission
   // -------------------------------------------------------------------------
 
-  function emitWithPostTransforms(lines, ctx, output, state) {
+  function* emitWithPostTransforms(lines, ctx, output, state, stacks = []) {
     const list = Array.isArray(lines) ? lines : [lines];
-    for (const line of list) {
-      const expanded = pipeline.applyPostExpandTransforms(line, {
+    const emitted = [];
+    for (let i = 0; i < list.length; i += 1) {
+      const origin = { line: ctx.lineNo, stack: stacks[i] || [] };
+      const expanded = yield* pipeline.applyPostExpandTransforms(list[i], {
         ...ctx,
         lastLineBase: state.lastEmittedBase,
       });
@@ -562,8 +1981,11 @@ function createEngine(options = {}) {
         const base = baseCommandName(l);
         if (base) state.lastEmittedBase = base;
         output.push(l);
+        emitted.push(l);
+        state.origins.push(origin);
       }
     }
+    return emitted;
   }
 
   // -------------------------------------------------------------------------
@@ -571,6 +1993,15 @@ function createEngine(options = {}) {
   // -------------------------------------------------------------------------
 
   engineApi.processText = processText;
+  engineApi.processTextAsync = processTextAsync;
+  engineApi.compile = compile;
+  engineApi.compileAsync = compileAsync;
+  engineApi.loadHeader = loadHeader;
+  engineApi.listMacros = listMacros;
+  engineApi.getDiagnostics = getDiagnostics;
+  engineApi.getSourceMap = getSourceMap;
+  engineApi.getSourceFiles = getSourceFiles;
+  engineApi.reset = reset;
   return engineApi;
 }
 
@@ -0,0 +1,120 @@
+/**
+ * Error type for fatal pre-vhs compile errors.
+ *
+ * Engine errors (expansion limits, recursion, header validation in "error"
+ * mode, failing macros and packs) are thrown as PreVhsError so callers can
+ * show where in the .tape.pre they happened:
+ *
+ *     demo.tape.pre:4:3: error: Macro recursion detected: A -> B -> A (macro-recursion)
+ *       3 | Output demo.gif
+ *     > 4 | > A $1
+ *         |   ^
+ *     > 5 | payload
+ *       6 | Sleep 1s
+ */
+
+class PreVhsError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {object} [details] - Location and context
+   * @param {string} [details.code] - Stable error code
+   * @param {string} [details.file] - Input file name
+   * @param {number} [details.line] - 1-based line of the offending directive
+   * @param {number} [details.endLine] - Last payload line of the directive
+   * @param {number} [details.column] - 1-based column
+   * @param {string[]} [details.macroStack] - Macros being expanded
+   * @param {string} [details.frame] - Code frame (see codeFrame)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = "PreVhsError";
+    this.code = details.code || "error";
+    this.file = details.file;
+    this.line = details.line;
+    this.endLine = details.endLine;
+    this.column = details.column;
+    this.macroStack = details.macroStack || [];
+    this.frame = details.frame;
+  }
+}
+
+/**
+ * Check for a PreVhsError, including one created by another copy of this
+ * module (e.g. a pack that depends on its own pre-vhs).
+ *
+ * @param {*} err - Value to check
+ * @returns {boolean} True for PreVhsError instances
+ */
+function isPreVhsError(err) {
+  return err instanceof PreVhsError || (!!err && err.name === "PreVhsError");
+}
+
+/**
+ * Render source lines around a location, marking the offending lines with
+ * `>` and the column with a caret.
+ *
+ * @param {string[]} lines - Source lines
+ * @param {object} location - Location to show
+ * @param {number} location.line - First marked line (1-based)
+ * @param {number} [location.endLine] - Last marked line (defaults to line)
+ * @param {number} [location.column] - Caret column on the first line
+ * @param {number} [location.context=1] - Unmarked lines shown around the range
+ * @returns {string} Code frame text ("" when the line is out of range)
+ */
+function codeFrame(lines, location) {
+  const { line, column, context = 1 } = location;
+  if (!Number.isInteger(line) || line < 1 || line > lines.length) return "";
+  const endLine = Math.min(
+    Math.max(location.endLine || line, line),
+    lines.length,
+  );
+
+  const first = Math.max(1, line - context);
+  const last = Math.min(lines.length, endLine + context);
+  const width = String(last).length;
+  const out = [];
+
+  for (let n = first; n <= last; n += 1) {
+    const marked = n >= line && n <= endLine;
+    const gutter = `${marked ? ">" : " "} ${String(n).padStart(width)} |`;
+    const text = lines[n - 1];
+    out.push(text ? `${gutter} ${text}` : gutter);
+    if (n === line && column) {
+      out.push(`  ${" ".repeat(width)} | ${" ".repeat(column - 1)}^`);
+    }
+  }
+  return out.join("\n");
+}
+
+/**
+ * Format an error for terminal output.
+ *
+ * @param {Error} err - Error to format
+ * @returns {string} `[pre-vhs] file:line:column: error: ...` plus the code
+ *   frame for PreVhsError; `[pre-vhs] Error: ...` otherwise
+ */
+function formatError(err) {
+  if (!isPreVhsError(err)) {
+    return `[pre-vhs] Error: ${err && err.message ? err.message : err}`;
+  }
+
+  let where = "";
+  if (err.file && err.line) {
+    where = `${err.file}:${err.line}:${err.column || 1}: `;
+  } else if (err.file) {
+    where = `${err.file}: `;
+  } else if (err.line) {
+    where = `line ${err.line}: `;
+  }
+  const lines = [`[pre-vhs] ${where}error: ${err.message} (${err.code})`];
+  if (err.macroStack && err.macroStack.length) {
+    lines.push(`  macro stack: ${err.macroStack.join(" -> ")}`);
+  }
+  if (err.frame) {
+    lines.push(err.frame);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { PreVhsError, isPreVhsError, codeFrame, formatError };
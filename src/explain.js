@@ -0,0 +1,88 @@
+/**
+ * Human-readable expansion traces for `pre-vhs explain` and `--trace`.
+ *
+ * The engine reports trace events through its `onTrace` option; this module
+ * turns them into indented text so macro authors can follow each directive
+ * from header tokens, through every macro call, to the emitted VHS lines.
+ */
+
+const { createEngine } = require("./engine");
+
+const INDENT = "  ";
+
+function quote(value) {
+  return JSON.stringify(String(value ?? ""));
+}
+
+function formatArgs(args) {
+  const out = [];
+  (args.positional || []).forEach((value, i) => {
+    out.push(`${INDENT}$${i + 1} = ${quote(value)}`);
+  });
+  if (args.star !== undefined) {
+    out.push(`${INDENT}$* = ${quote(args.star)}`);
+  }
+  return out;
+}
+
+/**
+ * Format a single trace event as text lines.
+ *
+ * @param {object} event - Event passed to the engine's onTrace option
+ * @param {object} [options] - Formatting options
+ * @param {string} [options.file] - The input's file name; directives from
+ *   any other file (an `Include`d one) are labelled with theirs
+ * @returns {string[]} Lines describing the event
+ */
+function formatTraceEvent(event, options = {}) {
+  switch (event.type) {
+    case "directive": {
+      const where =
+        event.file && event.file !== options.file
+          ? `${event.file}:${event.lineNo}`
+          : `line ${event.lineNo}`;
+      return [
+        `${where}: > ${event.headerText}`,
+        `${INDENT}tokens: ${event.tokens.join(" | ") || "(none)"}`,
+        ...formatArgs(event.args),
+      ];
+    }
+    case "macro": {
+      const depth = INDENT.repeat(event.stack.length);
+      return [
+        `${depth}${event.name}  [${event.stack.join(" -> ")}]  <- ${event.token}`,
+        `${depth}${INDENT}=> ${event.result.join(" | ") || "(nothing)"}`,
+      ];
+    }
+    case "output":
+      return [
+        `${INDENT}output:`,
+        ...event.lines.map((line) => `${INDENT}${INDENT}${line}`),
+        "",
+      ];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Compile text and return its expansion trace.
+ *
+ * @param {string} input - .tape.pre source
+ * @param {object} [options] - Options
+ * @param {Function} [options.createEngine] - Engine factory, called with engine options
+ * @param {string} [options.filename] - Input name for error messages
+ * @returns {{ trace: string, output: string }} Trace text and compiled output
+ */
+function explainText(input, options = {}) {
+  const factory = options.createEngine || createEngine;
+  const lines = [];
+  const engine = factory({
+    onTrace: (event) =>
+      lines.push(...formatTraceEvent(event, { file: options.filename })),
+  });
+  const output = engine.processText(input, { filename: options.filename });
+  return { trace: lines.join("\n"), output };
+}
+
+module.exports = { formatTraceEvent, explainText };
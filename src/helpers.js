@@ -5,6 +5,8 @@
  * alias macro creation, and validation reporting.
  */
 
+const { PreVhsError } = require("./errors");
+
 /**
  * Escape arbitrary text for a VHS Type command.
  * Always emits: Type `escaped text`
@@ -36,6 +38,88 @@ function baseCommandName(line) {
   return trimmed.split(/\s+/, 1)[0];
 }
 
+// ---------------------------------------------------------------------------
+// Placeholders
+// ---------------------------------------------------------------------------
+
+// Directive tokens and alias bodies are templates: `$1`, `$2`, ... and `$*`
+// are placeholders, `${2:-500ms}` is `$2` with a default for a missing or
+// empty argument, and `$$` is a literal dollar. Substituted values are
+// escaped, so text from payload lines is never substituted again; the
+// engine unescapes when a line is emitted or passed to a macro.
+const PLACEHOLDER_RE = /\$(\$|\*|\d+|\{(\d+):-([^}]*)\})/g;
+
+/**
+ * Escape literal text for use in a template (`$` → `$$`).
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Template text
+ */
+function escapeDollars(text) {
+  return String(text).replace(/\$/g, () => "$$");
+}
+
+/**
+ * Turn template text back into literal text (`$$` → `$`).
+ *
+ * @param {string} text - Template text
+ * @returns {string} Literal text
+ */
+function unescapeDollars(text) {
+  return String(text).replace(/\$\$/g, () => "$");
+}
+
+/**
+ * List the placeholders in template text, skipping `$$` escapes.
+ *
+ * @param {string} text - Template text
+ * @returns {(number|"*")[]} Positional indexes and "*" in order of appearance
+ */
+function placeholderKeys(text) {
+  const keys = [];
+  for (const [, key, index] of String(text).matchAll(PLACEHOLDER_RE)) {
+    if (key !== "$") keys.push(key === "*" ? "*" : Number(index ?? key));
+  }
+  return keys;
+}
+
+/**
+ * Replace `$n`, `${n:-default}` and `$*` placeholders in template text.
+ *
+ * @param {string} text - Template text
+ * @param {Function} lookup - Called with an index or "*"; returns the literal
+ *   value, or undefined to keep the placeholder
+ * @returns {string} Template text with values substituted (and escaped)
+ */
+function substitutePlaceholders(text, lookup) {
+  return String(text).replace(PLACEHOLDER_RE, (match, key, index, fallback) => {
+    if (key === "$") return match;
+    const value = lookup(key === "*" ? "*" : Number(index ?? key));
+    if (value === undefined) return match;
+    if (value === "" && fallback !== undefined) return fallback;
+    return escapeDollars(value);
+  });
+}
+
+/**
+ * Rewrite named alias parameters to positional placeholders: with
+ * `Run(cmd, wait=1s)`, `$cmd` becomes `$1` and `$wait` becomes `${2:-1s}`.
+ *
+ * @param {string} text - Alias body command
+ * @param {{ name: string, default?: string }[]} params - Alias signature
+ * @returns {string} Body command using positional placeholders
+ */
+function namedToPositional(text, params) {
+  return String(text).replace(/\$(\$|[A-Za-z_]\w*)/g, (match, name) => {
+    const index = params.findIndex((p) => p.name === name);
+    if (index < 0) return match;
+    const param = params[index];
+    return param.default === undefined
+      ? `$${index + 1}`
+      : `\${${index + 1}:-${param.default}}`;
+  });
+}
+
 /**
  * Compute max positional argument index referenced in a list of header tokens.
  *
@@ -46,14 +130,9 @@ function maxArgIndex(cmds) {
   let max = 0;
   let hasStar = false;
   for (const cmd of cmds) {
-    if (/\$\*/.test(cmd)) {
-      hasStar = true;
-    }
-    const matches = String(cmd).match(/\$(\d+)/g);
-    if (!matches) continue;
-    for (const m of matches) {
-      const n = Number(m.slice(1)); // skip '$'
-      if (Number.isFinite(n) && n > max) max = n;
+    for (const key of placeholderKeys(cmd)) {
+      if (key === "*") hasStar = true;
+      else if (key > max) max = key;
     }
   }
   return { max, hasStar };
@@ -65,67 +144,158 @@ function maxArgIndex(cmds) {
  * a list of header tokens (which themselves will be expanded as usual).
  *
  * The returned function has a `hasStar` property indicating whether the
- * alias body contains $* (greedy multi-line argument).
+ * alias body contains $* (greedy multi-line argument), and `template` so
+ * the engine substitutes placeholders left in its result (EachLine's $1).
+ *
+ * Aliases with a signature (`Run(cmd, wait=1s) = ...`) also accept named
+ * values on the call (`> Run $1 wait=2s`); the engine passes them as
+ * `args.named`, and the function lists its parameter names in `params`.
  *
  * @param {string} name - Alias name (for documentation/debugging)
  * @param {string[]} bodyCmds - Command tokens that form the alias body
+ * @param {{ name: string, default?: string }[]} [params] - Named parameters
  * @returns {Function} Macro function with hasStar property
  */
-function makeAliasMacro(name, bodyCmds) {
+function makeAliasMacro(name, bodyCmds, params = []) {
+  const body = bodyCmds.map((cmd) => namedToPositional(cmd, params));
+
   // Check if any body command uses $*
-  const hasStar = bodyCmds.some((cmd) => /\$\*/.test(cmd));
+  const hasStar = body.some((cmd) => placeholderKeys(cmd).includes("*"));
 
   function aliasMacro(_payload, _rawCmd, args) {
     const out = [];
-    for (const bodyCmd of bodyCmds) {
+    const named = args.named || {};
+    for (const bodyCmd of body) {
       const base = baseCommandName(bodyCmd);
+      // EachLine fills its own $1 / $* for every line
       const skipLineArgs = base === "EachLine";
 
-      // First substitute $* with the greedy multi-line argument.
-      let expanded = bodyCmd.replace(/\$\*/g, () =>
-        skipLineArgs ? "$*" : (args["*"] ?? ""),
-      );
-      // Then substitute $1, $2, etc.
-      expanded = expanded.replace(/\$(\d+)/g, (_, n) => {
-        const index = Number(n);
-        if (skipLineArgs && index === 1) return "$1";
-        return args[index] ?? "";
+      const expanded = substitutePlaceholders(bodyCmd, (key) => {
+        if (skipLineArgs && (key === "*" || key === 1)) return undefined;
+        const param = key === "*" ? undefined : params[key - 1];
+        if (param && named[param.name] !== undefined) return named[param.name];
+        return args[key] ?? "";
       });
       out.push(expanded);
     }
     return out;
   }
 
-  // Attach metadata for $* detection
+  // Attach metadata for $* detection and template results
   aliasMacro.hasStar = hasStar;
+  aliasMacro.template = true;
+  if (params.length) aliasMacro.params = params.map((p) => p.name);
 
   return aliasMacro;
 }
 
+// A `$${` escape is matched first so the `${` after it is skipped
+const DEFINE_RE = /\$\$(?=\{)|\$\{(env\.)?([A-Za-z_]\w*)(?::-([^}]*))?\}/g;
+// Same, but in templates every `$$` is an escape
+const TEMPLATE_DEFINE_RE = /\$\$|\$\{(env\.)?([A-Za-z_]\w*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replace compile-time placeholders in a line of text:
+ *
+ * - `${NAME}` / `${NAME:-fallback}` read from `defines`
+ * - `${env.NAME}` / `${env.NAME:-fallback}` read from `env`
+ *
+ * Only plain lookups are supported (no expressions). Undefined names keep
+ * their placeholder text, except `env.` lookups, which become "" like an
+ * unset shell variable. `$${NAME}` is an escaped placeholder and is kept
+ * for the engine to unescape. In template text (directives and alias
+ * bodies), values are escaped so a `$` in them stays literal. With
+ * `deferFallbacks`, `${NAME:-fallback}` for a name that is not defined is
+ * kept too, so the engine can try `Let` variables before the fallback (or,
+ * in payload text, leave it to the shell).
+ *
+ * @param {string} text - Text to interpolate
+ * @param {object} [defines] - Values for `${NAME}`
+ * @param {object} [env] - Values for `${env.NAME}`
+ * @param {object} [options] - Interpolation options
+ * @param {boolean} [options.template=false] - Whether `text` is template
+ *   text (see substitutePlaceholders)
+ * @param {boolean} [options.deferFallbacks=false] - Keep fallbacks of
+ *   undefined names for a later lookup
+ * @returns {string} Interpolated text
+ *
+ * @example
+ * interpolateDefines("Output demo-${VERSION}.gif", { VERSION: "2.3.1" })
+ * // => "Output demo-2.3.1.gif"
+ */
+function interpolateDefines(text, defines = {}, env = {}, options = {}) {
+  const re = options.template ? TEMPLATE_DEFINE_RE : DEFINE_RE;
+  return String(text).replace(re, (match, envPrefix, name, fallback) => {
+    if (match === "$$") return match;
+    const source = envPrefix ? env : defines;
+    const value = Object.prototype.hasOwnProperty.call(source, name)
+      ? source[name]
+      : undefined;
+    if (value !== undefined && value !== "") {
+      return options.template ? escapeDollars(value) : String(value);
+    }
+    if (fallback !== undefined) {
+      return options.deferFallbacks && !envPrefix && value === undefined
+        ? match
+        : fallback;
+    }
+    if (envPrefix) return value ?? "";
+    return value ?? match;
+  });
+}
+
 /**
  * Report a header validation issue based on the validation mode.
  *
+ * In "warn" mode the issue goes to `options.report` as a diagnostic when
+ * given (see src/diagnostics.js), and to console.warn otherwise. In "error"
+ * mode it is thrown, as a PreVhsError when `options.code` is given.
+ *
  * @param {"off"|"warn"|"error"} mode - Validation mode
  * @param {number} lineNo - 1-based line number
  * @param {string} message - Error/warning message
  * @param {string} line - The offending line content
+ * @param {object} [options] - Reporting options
+ * @param {string} [options.code] - Diagnostic code
+ * @param {Function} [options.report] - Receives the diagnostic
  */
-function reportHeaderIssue(mode, lineNo, message, line) {
+function reportHeaderIssue(mode, lineNo, message, line, options = {}) {
   if (mode === "off") return;
 
   const fullMessage = `[pre-vhs] Header line ${lineNo}: ${message}\n  → ${line}`;
 
   if (mode === "error") {
+    if (options.code) {
+      throw new PreVhsError(`Header line ${lineNo}: ${message}`, {
+        code: options.code,
+        line: lineNo,
+      });
+    }
     throw new Error(fullMessage);
   }
   // mode === "warn"
+  if (options.report) {
+    options.report({
+      severity: "warning",
+      code: options.code,
+      message,
+      line: lineNo,
+      snippet: line,
+    });
+    return;
+  }
   console.warn(fullMessage);
 }
 
 module.exports = {
   formatType,
   baseCommandName,
+  escapeDollars,
+  unescapeDollars,
+  placeholderKeys,
+  substitutePlaceholders,
   maxArgIndex,
   makeAliasMacro,
+  interpolateDefines,
   reportHeaderIssue,
 };
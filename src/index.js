@@ -11,12 +11,27 @@
  * - constants.js  - VHS command set for collision detection
  * - helpers.js    - Core utility functions
  * - parser.js     - File header parsing
+ * - tokenizer.js  - Quote-aware comma splitting for directives and aliases
+ * - conditions.js - Condition expressions for `> If` blocks
  * - engine.js     - Engine factory and processing logic
  * - cli.js        - Command-line interface
+ * - config.js     - Project config discovery (pre-vhs.config.js / .prevhsrc.json)
+ * - watch.js      - Rebuild-on-change support for the CLI
+ * - build.js      - Glob-based batch compilation for the CLI
+ * - diff.js       - Unified line diffs for --check
+ * - explain.js    - Expansion trace formatting for explain/--trace
+ * - inspect.js    - Macro registry listing for the macros command
+ * - init.js       - Starter files for the init command
+ * - vhs.js        - Running VHS on compiled tapes for --run
+ * - diagnostics.js - Structured warnings reported by the engine and packs
+ * - sourceMap.js  - Output-to-input line maps for --source-map and lookup
+ * - errors.js     - PreVhsError and code frames for fatal compile errors
  */
 
 const { createEngine } = require("./engine");
 const { formatType, baseCommandName } = require("./helpers");
+const { PreVhsError } = require("./errors");
+const { loadConfig, createEngineFromConfig } = require("./config");
 const { main } = require("./cli");
 
 // ---------------------------------------------------------------------------
@@ -35,8 +50,35 @@ module.exports = {
   createEngine,
   processText(input, options = {}) {
     const engine = createEngine(options.engineOptions);
-    return engine.processText(input);
+    return engine.processText(input, {
+      filename: options.filename,
+      baseDir: options.baseDir,
+    });
   },
+  processTextAsync(input, options = {}) {
+    const engine = createEngine(options.engineOptions);
+    return engine.processTextAsync(input, {
+      filename: options.filename,
+      baseDir: options.baseDir,
+    });
+  },
+  compile(input, options = {}) {
+    const engine = createEngine(options.engineOptions);
+    return engine.compile(input, {
+      filename: options.filename,
+      baseDir: options.baseDir,
+    });
+  },
+  compileAsync(input, options = {}) {
+    const engine = createEngine(options.engineOptions);
+    return engine.compileAsync(input, {
+      filename: options.filename,
+      baseDir: options.baseDir,
+    });
+  },
+  loadConfig,
+  createEngineFromConfig,
+  PreVhsError,
   formatType,
   baseCommandName,
 };
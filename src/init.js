@@ -0,0 +1,229 @@
+/**
+ * Scaffolding for `pre-vhs init`.
+ *
+ * Writes a commented starter .tape.pre from one of a few templates, and
+ * optionally a project config and a golden test that pins its output.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_NAME = "demo";
+
+function vhsSettings(name) {
+  return `Output ${name}.gif
+Set FontSize 20
+Set Width 1200
+Set Height 600
+Set TypingSpeed 50ms`;
+}
+
+const TEMPLATES = {
+  minimal: (name) => `# ${name}.tape.pre — compile with: pre-vhs ${name}
+#
+# Header (up to the first VHS line): load packs, activate their macros
+# with Use, and define aliases. Comments and blank lines are ignored here.
+Pack builtins
+Use TypeEnter BackspaceAll
+
+# Alias: Name = Cmd1, Cmd2, ...
+# $1 is the first line below the directive that calls it.
+Run = Type $1, Sleep 300ms, Enter, Sleep 1s
+
+${vhsSettings(name)}
+
+# Body: "> " lines are directives; everything else is plain VHS.
+> Run $1
+echo "Hello from pre-vhs"
+
+> TypeEnter $1
+ls -la
+
+Sleep 2s
+`,
+
+  "typing-styles": (name) => `# ${name}.tape.pre — compile with: pre-vhs ${name}
+#
+# Typing styles rewrite every Type into per-character keystrokes with
+# human-like timing ("human") or occasional typos ("sloppy").
+Pack builtins
+Pack typingStyles
+Use TypeEnter
+
+Run = Type $1, Sleep 300ms, Enter, Sleep 1s
+
+${vhsSettings(name)}
+
+> Apply TypingStyle human medium
+> Run $1
+echo "typed like a person"
+
+> Apply TypingStyle sloppy low
+> Run $1
+git commit -m "almost no typos"
+
+# Back to plain VHS typing
+> Apply TypingStyle None
+> TypeEnter $1
+echo done
+
+Sleep 2s
+`,
+
+  probe: (name) => `# ${name}.tape.pre — compile with: pre-vhs ${name}
+#
+# Probe runs a shell command at compile time; IfProbeMatched /
+# IfProbeNotMatched then type text depending on its output.
+Pack builtins
+Pack probe
+Use TypeEnter Probe IfProbeMatched IfProbeNotMatched
+
+${vhsSettings(name)}
+
+> Probe /v\\d+/ $1
+node --version
+
+> IfProbeMatched $1
+echo "node is installed"
+
+> IfProbeNotMatched $1
+echo "please install node"
+
+Enter
+Sleep 2s
+`,
+};
+
+const CONFIG_TEMPLATE = `// pre-vhs project config: applies to every tape in and below this directory.
+module.exports = {
+  engine: {
+    // "off" | "warn" | "error"
+    headerValidation: "warn",
+    // Values for \${NAME} placeholders (override with --define NAME=value)
+    defines: {},
+  },
+  packs: [
+    // "builtins",
+    // { module: "typingStyles", options: { defaultStyle: "human" } },
+    // { module: "./packs/my-pack.js", autoUse: true },
+  ],
+};
+`;
+
+function goldenTestTemplate(base) {
+  return `// Golden test for ${base}.tape.pre, generated by \`pre-vhs init\`.
+// Run with: node --test (from the directory you run pre-vhs in)
+// Record or update ${base}.tape.expected with: UPDATE_GOLDEN=1 node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadConfig, createEngineFromConfig } = require("pre-vhs");
+
+const inputPath = path.join(__dirname, "${base}.tape.pre");
+const expectedPath = path.join(__dirname, "${base}.tape.expected");
+
+// Typing styles use Math.random; seed it so output is repeatable.
+function withSeededRandom(fn) {
+  const original = Math.random;
+  let seed = 42;
+  Math.random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  try {
+    return fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
+test("${base}.tape.pre matches its golden output", () => {
+  // Same config lookup and compile as \`pre-vhs ${base}\`
+  const engine = createEngineFromConfig(loadConfig({ startDir: __dirname }));
+  const output = withSeededRandom(() =>
+    engine.processText(fs.readFileSync(inputPath, "utf8"), {
+      filename: path.relative(process.cwd(), inputPath),
+    }),
+  ).trimEnd();
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(expectedPath, \`\${output}\\n\`, "utf8");
+    return;
+  }
+  assert.ok(
+    fs.existsSync(expectedPath),
+    "${base}.tape.expected is missing; record it with UPDATE_GOLDEN=1",
+  );
+  assert.strictEqual(output, fs.readFileSync(expectedPath, "utf8").trimEnd());
+});
+`;
+}
+
+/**
+ * Plan the files `pre-vhs init` would write.
+ *
+ * @param {string} [name="demo"] - Tape name, optionally with a directory
+ * @param {object} [options] - Scaffolding options
+ * @param {string} [options.template="minimal"] - Template name (see TEMPLATES)
+ * @param {boolean} [options.withConfig] - Also write pre-vhs.config.js
+ * @param {boolean} [options.withTest] - Also write a golden test
+ * @param {string} [options.cwd] - Directory to write into
+ * @returns {{ path: string, content: string }[]} Files to write
+ */
+function planInit(name = DEFAULT_NAME, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const templateName = options.template || "minimal";
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(
+      `Unknown template '${templateName}' (expected: ${Object.keys(TEMPLATES).join(", ")})`,
+    );
+  }
+
+  const tapeBase = String(name).replace(/\.tape\.pre$/, "");
+  const base = path.basename(tapeBase);
+  const dir = path.resolve(cwd, path.dirname(tapeBase));
+
+  const files = [
+    { path: path.join(dir, `${base}.tape.pre`), content: template(base) },
+  ];
+  if (options.withConfig) {
+    files.push({
+      path: path.join(cwd, "pre-vhs.config.js"),
+      content: CONFIG_TEMPLATE,
+    });
+  }
+  if (options.withTest) {
+    files.push({
+      path: path.join(dir, `${base}.test.js`),
+      content: goldenTestTemplate(base),
+    });
+  }
+  return files;
+}
+
+/**
+ * Write starter files. Refuses to overwrite existing files unless `force`.
+ *
+ * @param {string} [name="demo"] - Tape name, optionally with a directory
+ * @param {object} [options] - planInit options plus `force`
+ * @param {boolean} [options.force] - Overwrite existing files
+ * @returns {string[]} Paths written
+ */
+function initProject(name, options = {}) {
+  const files = planInit(name, options);
+  if (!options.force) {
+    const existing = files.filter((f) => fs.existsSync(f.path));
+    if (existing.length) {
+      throw new Error(
+        `Refusing to overwrite ${existing.map((f) => f.path).join(", ")} (use --force)`,
+      );
+    }
+  }
+
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.content, "utf8");
+  }
+  return files.map((f) => f.path);
+}
+
+module.exports = { TEMPLATES, planInit, initProject };
@@ -0,0 +1,81 @@
+/**
+ * Macro listing for `pre-vhs macros`.
+ *
+ * Formats the engine's registry (see engine.listMacros) as a table showing
+ * whether each macro needs `Use`, where it was defined, and whether it
+ * shadows a VHS command.
+ */
+
+const path = require("path");
+
+const FIRST_PARTY_DIR = path.join(__dirname, "packs");
+
+/**
+ * Describe where a macro came from.
+ *
+ * @param {object} source - Macro source from listMacros
+ * @param {string} [cwd] - Directory pack paths are shown relative to
+ * @returns {string} Short description
+ */
+function describeSource(source, cwd = process.cwd()) {
+  switch (source && source.kind) {
+    case "builtin":
+      return "built-in";
+    case "header":
+      return source.file
+        ? `${source.file} line ${source.line}`
+        : `header line ${source.line}`;
+    case "pack":
+      if (path.dirname(source.path) === FIRST_PARTY_DIR) {
+        return `pack ${path.basename(source.path, ".js")}`;
+      }
+      return `pack ${path.relative(cwd, source.path) || source.path}`;
+    default:
+      return "registerMacros";
+  }
+}
+
+/**
+ * Render registered macros as an aligned text table.
+ *
+ * @param {object[]} macros - Result of engine.listMacros()
+ * @param {object} [options] - Formatting options
+ * @param {string[]} [options.useNames] - Names from the file's `Use` lines;
+ *   when given, a column shows whether each macro is active in that file
+ * @param {string} [options.cwd] - Directory pack paths are shown relative to
+ * @returns {string} Table text
+ */
+function formatMacroTable(macros, options = {}) {
+  const useSet = options.useNames ? new Set(options.useNames) : null;
+  const header = ["Macro", "Needs Use", "Source", "Notes"];
+  if (useSet) header.splice(2, 0, "Active");
+
+  const rows = macros.map((macro) => {
+    const notes = macro.shadowsVhs ? "shadows VHS command" : "";
+    const row = [
+      macro.name,
+      macro.requireUse ? "yes" : "no",
+      describeSource(macro.source, options.cwd),
+      notes,
+    ];
+    if (useSet) {
+      const active = !macro.requireUse || useSet.has(macro.name);
+      row.splice(2, 0, active ? "yes" : "no");
+    }
+    return row;
+  });
+
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map((row) => row[col].length)),
+  );
+  return [header, ...rows]
+    .map((row) =>
+      row
+        .map((cell, col) => cell.padEnd(widths[col]))
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+}
+
+module.exports = { describeSource, formatMacroTable };
@@ -86,13 +86,14 @@ function loadAndInitPack(packConfig, engine, baseDir) {
   const packFactory = require(resolved);
   if (typeof packFactory !== "function") return;
 
-  const registerMacros = packConfig.autoUse
-    ? createAutoUseRegister(engine)
-    : engine.registerMacros;
+  const registerMacros = createPackRegister(engine, resolved, packConfig);
 
   packFactory({
     registerMacros,
     registerTransform: engine.registerTransform,
+    registerConditions: engine.registerConditions,
+    report: engine.report,
+    createCompileState: engine.createCompileState,
     helpers: { formatType, baseCommandName },
     options: packConfig.options,
   });
@@ -107,11 +108,17 @@ function initPacksFromSpecs(specs, engine, baseDir) {
   }
 }
 
-function createAutoUseRegister(engine) {
+/**
+ * Wrap registerMacros so a pack's macros record which file defined them,
+ * and skip `Use` when the pack is loaded with autoUse.
+ */
+function createPackRegister(engine, resolved, packConfig) {
+  const source = { kind: "pack", path: resolved };
   return (macros, macroOptions = {}) =>
     engine.registerMacros(macros, {
+      source,
       ...macroOptions,
-      requireUse: false,
+      ...(packConfig.autoUse ? { requireUse: false } : {}),
     });
 }
 
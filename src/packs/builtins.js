@@ -14,8 +14,15 @@
 module.exports = function builtinsPack(engine) {
   const { registerMacros, registerTransform, helpers } = engine;
   const { formatType, baseCommandName } = helpers;
-
-  let currentGap = null;
+  const createCompileState =
+    engine.createCompileState ||
+    ((init) => {
+      const state = init();
+      return () => state;
+    });
+
+  // Gap set with `Apply Gap`; starts over for every compile
+  const gapState = createCompileState(() => ({ gap: null }));
   const SENTENCE_ABBREVIATIONS = [
     "mr.",
     "mrs.",
@@ -125,11 +132,13 @@ module.exports = function builtinsPack(engine) {
     },
 
     TypeAndEnter(payload = "") {
-      const lines = String(payload || "").split(/\r?\n/);
+      const text = String(payload || "");
+      if (!text) return [];
       const out = [];
-      for (const line of lines) {
-        if (line === "") continue;
-        out.push(formatType(line), "Enter");
+      // Blank lines inside the block (from a `<<END` argument) press Enter
+      for (const line of text.split(/\r?\n/)) {
+        if (line === "") out.push("Enter");
+        else out.push(formatType(line), "Enter");
       }
       return out;
     },
@@ -155,6 +164,7 @@ module.exports = function builtinsPack(engine) {
   registerMacros(macros);
 
   registerTransform("header", (cmds) => {
+    const state = gapState();
     const out = [];
     let hadCommand = false;
 
@@ -169,9 +179,9 @@ module.exports = function builtinsPack(engine) {
         if (modifier.toLowerCase() === "gap") {
           const value = parts.slice(2).join(" ");
           if (value === "None" || value === "Default") {
-            currentGap = null;
+            state.gap = null;
           } else {
-            currentGap = value || null;
+            state.gap = value || null;
           }
           continue;
         }
@@ -180,8 +190,8 @@ module.exports = function builtinsPack(engine) {
         continue;
       }
 
-      if (currentGap && hadCommand) {
-        out.push(`Sleep ${currentGap}`);
+      if (state.gap && hadCommand) {
+        out.push(`Sleep ${state.gap}`);
       }
       out.push(trimmed);
       hadCommand = true;
@@ -24,54 +24,124 @@
  *   - Probe runs the payload line as a shell command (sh -c ...).
  *   - If /pattern/ is present in the header, it is tested against
  *     stdout and stderr (combined).
- *   - The result is stored and used by subsequent IfProbe* macros.
+ *   - The result is stored and used by subsequent IfProbe* macros and
+ *     by `> If probe.matched` blocks.
+ *   - A missing command, an invalid /pattern/ or a command that cannot be
+ *     run (e.g. it times out) is reported as a warning diagnostic.
+ *   - With `options.async`, commands run with exec instead of spawnSync so
+ *     they do not block the event loop; compile with processTextAsync
+ *     (the CLI compiles synchronously, so this is API-only).
  */
 
-const { spawnSync: defaultSpawnSync } = require("node:child_process");
+const {
+  spawnSync: defaultSpawnSync,
+  exec: defaultExec,
+} = require("node:child_process");
 
 module.exports = function probePack(engine) {
   const { registerMacros, helpers, options } = engine;
   const { formatType } = helpers;
+  const report = engine.report || (() => {});
   const spawnFn =
     options && typeof options.spawnSync === "function"
       ? options.spawnSync
       : defaultSpawnSync;
+  const execFn =
+    options && typeof options.exec === "function" ? options.exec : defaultExec;
+  // Run probes with exec instead of spawnSync; needs processTextAsync
+  const asyncMode = !!(options && options.async);
 
   const defaultTimeoutMs =
     options && typeof options.defaultTimeoutMs === "number"
       ? options.defaultTimeoutMs
       : 5000;
 
-  // Last probe result is kept in module-local state
-  let lastProbe = {
-    command: null,
-    stdout: "",
-    stderr: "",
-    exitCode: null,
-    matched: false,
-    pattern: null,
-    error: null,
-  };
-
-  function runProbe(command, pattern) {
-    let stdout = "";
-    let stderr = "";
-    let exitCode = null;
-    let error = null;
+  const createCompileState =
+    engine.createCompileState ||
+    ((init) => {
+      const state = init();
+      return () => state;
+    });
+
+  // Last probe result; each compile starts without one
+  const probeState = createCompileState(() => ({
+    lastProbe: {
+      command: null,
+      stdout: "",
+      stderr: "",
+      exitCode: null,
+      matched: false,
+      pattern: null,
+      error: null,
+    },
+  }));
+
+  function probeMatched() {
+    const { lastProbe } = probeState();
+    // If no regex was supplied, fall back to exitCode === 0 as "match"
+    return lastProbe.pattern != null
+      ? !!lastProbe.matched
+      : lastProbe.exitCode === 0 && lastProbe.command !== null;
+  }
 
+  function runCommandSync(command) {
     try {
       const result = spawnFn(command, {
         shell: true,
         encoding: "utf8",
         timeout: defaultTimeoutMs,
       });
-
-      stdout = result.stdout || "";
-      stderr = result.stderr || "";
-      exitCode = typeof result.status === "number" ? result.status : null;
-      if (result.error) error = String(result.error);
+      return {
+        stdout: result.stdout || "",
+        stderr: result.stderr || "",
+        exitCode: typeof result.status === "number" ? result.status : null,
+        error: result.error ? String(result.error) : null,
+      };
     } catch (err) {
-      error = String(err || "");
+      return {
+        stdout: "",
+        stderr: "",
+        exitCode: null,
+        error: String(err || ""),
+      };
+    }
+  }
+
+  function runCommandAsync(command) {
+    return new Promise((resolve) => {
+      const done = (err, stdout, stderr) => {
+        const result = {
+          stdout: String(stdout || ""),
+          stderr: String(stderr || ""),
+          exitCode: err ? null : 0,
+          error: null,
+        };
+        if (err && err.killed) {
+          result.error = `Error: timed out after ${defaultTimeoutMs}ms`;
+        } else if (err && typeof err.code === "number") {
+          result.exitCode = err.code;
+        } else if (err) {
+          result.error = String(err);
+        }
+        resolve(result);
+      };
+      try {
+        execFn(command, { encoding: "utf8", timeout: defaultTimeoutMs }, done);
+      } catch (err) {
+        done(err);
+      }
+    });
+  }
+
+  function recordProbe(command, pattern, lineNo, result) {
+    const { stdout, stderr, exitCode, error } = result;
+    if (error) {
+      report({
+        severity: "warning",
+        code: "probe/failed",
+        message: `Probe command '${command}' failed: ${error}`,
+        line: lineNo,
+      });
     }
 
     const combined = stdout + stderr + (error ? error : "");
@@ -81,7 +151,7 @@ module.exports = function probePack(engine) {
       matched = pattern.test(combined);
     }
 
-    lastProbe = {
+    probeState().lastProbe = {
       command,
       stdout,
       stderr,
@@ -101,10 +171,17 @@ module.exports = function probePack(engine) {
      *   If present, it is tested against stdout+stderr+error.
      * - No VHS output is produced; state is stored for conditionals.
      */
-    Probe(payload, rawCmd) {
+    Probe(payload, rawCmd, _args, ctx) {
+      const lineNo = ctx && ctx.lineNo;
       const cmdStr = String(payload || "").trim();
       if (!cmdStr) {
-        lastProbe = {
+        report({
+          severity: "warning",
+          code: "probe/no-command",
+          message: "Probe needs a command on the line below the directive",
+          line: lineNo,
+        });
+        probeState().lastProbe = {
           command: null,
           stdout: "",
           stderr: "",
@@ -122,12 +199,24 @@ module.exports = function probePack(engine) {
       if (m) {
         try {
           pattern = new RegExp(m[1]);
-        } catch {
+        } catch (err) {
           pattern = null;
+          report({
+            severity: "warning",
+            code: "probe/invalid-pattern",
+            message: `Invalid Probe pattern /${m[1]}/: ${err.message}`,
+            line: lineNo,
+          });
         }
       }
 
-      runProbe(cmdStr, pattern);
+      if (asyncMode) {
+        return runCommandAsync(cmdStr).then((result) => {
+          recordProbe(cmdStr, pattern, lineNo, result);
+          return [];
+        });
+      }
+      recordProbe(cmdStr, pattern, lineNo, runCommandSync(cmdStr));
       return [];
     },
 
@@ -139,13 +228,7 @@ module.exports = function probePack(engine) {
      * Otherwise emit nothing.
      */
     IfProbeMatched(payload /* string */) {
-      // If no regex was supplied, fall back to exitCode === 0 as "match"
-      const effectiveMatch =
-        lastProbe.pattern != null
-          ? !!lastProbe.matched
-          : lastProbe.exitCode === 0 && lastProbe.command !== null;
-
-      if (!effectiveMatch) return [];
+      if (!probeMatched()) return [];
       return [formatType(payload || "")];
     },
 
@@ -155,17 +238,17 @@ module.exports = function probePack(engine) {
      * Logical negation of IfProbeMatched.
      */
     IfProbeNotMatched(payload /* string */) {
-      const effectiveMatch =
-        lastProbe.pattern != null
-          ? !!lastProbe.matched
-          : lastProbe.exitCode === 0 && lastProbe.command !== null;
-
-      if (effectiveMatch) return [];
+      if (probeMatched()) return [];
       return [formatType(payload || "")];
     },
   };
 
   registerMacros(macros);
 
+  // `> If probe.matched` blocks (engines without conditions skip this)
+  if (typeof engine.registerConditions === "function") {
+    engine.registerConditions({ "probe.matched": probeMatched });
+  }
+
   return macros;
 };
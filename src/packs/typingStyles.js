@@ -29,7 +29,14 @@
 
 module.exports = function typingStylesPack(engine) {
   const { registerMacros, registerTransform, helpers, options } = engine;
+  const report = engine.report || (() => {});
   const { baseCommandName } = helpers;
+  const createCompileState =
+    engine.createCompileState ||
+    ((init) => {
+      const state = init();
+      return () => state;
+    });
 
   // ---------------------------------------------------------------------------
   // State
@@ -37,9 +44,6 @@ module.exports = function typingStylesPack(engine) {
 
   const defaultStyle = (options && options.defaultStyle) || "default";
 
-  /** @type {"default"|"human"|"sloppy"|string} */
-  let currentStyle = defaultStyle;
-
   const HUMAN_LEVELS = {
     low: 0.7,
     medium: 1,
@@ -68,8 +72,6 @@ module.exports = function typingStylesPack(engine) {
       ? options.human.trim().toLowerCase()
       : "medium";
   const humanMultiplier = HUMAN_LEVELS[humanLevel] || HUMAN_LEVELS.medium;
-  let currentHumanMultiplier = humanMultiplier;
-  let currentHumanBaselineMs = resolveHumanBaselineMs(options);
 
   const sloppyLevel =
     options && typeof options.sloppy === "string"
@@ -77,8 +79,16 @@ module.exports = function typingStylesPack(engine) {
       : "medium";
   const sloppyMistakeChance =
     SLOPPY_LEVELS[sloppyLevel] || SLOPPY_LEVELS.medium;
-  let currentSloppyMistakeChance = sloppyMistakeChance;
-  let currentSloppyBaselineMs = resolveSloppyBaselineMs(options);
+
+  // Style set with `Apply TypingStyle`; every compile starts from the
+  // pack options again
+  const styleState = createCompileState(() => ({
+    style: defaultStyle, // "default" | "human" | "sloppy"
+    humanMultiplier,
+    humanBaselineMs: resolveHumanBaselineMs(options),
+    sloppyMistakeChance,
+    sloppyBaselineMs: resolveSloppyBaselineMs(options),
+  }));
 
   const HUMAN_DISTANCE_SCALE_MS = 60;
   const HUMAN_JITTER_MS = 20;
@@ -193,11 +203,12 @@ module.exports = function typingStylesPack(engine) {
 
   function delayForPair(prevChar, currChar) {
     const difficulty = difficultyForPair(prevChar, currChar);
+    const state = styleState();
     const base =
-      currentHumanBaselineMs +
-      difficulty * HUMAN_DISTANCE_SCALE_MS * currentHumanMultiplier;
+      state.humanBaselineMs +
+      difficulty * HUMAN_DISTANCE_SCALE_MS * state.humanMultiplier;
     const jitter =
-      rand(-HUMAN_JITTER_MS, HUMAN_JITTER_MS) * currentHumanMultiplier;
+      rand(-HUMAN_JITTER_MS, HUMAN_JITTER_MS) * state.humanMultiplier;
     return Math.max(0, Math.round(base + jitter));
   }
 
@@ -241,13 +252,14 @@ module.exports = function typingStylesPack(engine) {
   }
 
   function sloppyDelayMs() {
+    const state = styleState();
     const min = Math.max(
       0,
-      Math.round(currentSloppyBaselineMs - SLOPPY_JITTER_MS),
+      Math.round(state.sloppyBaselineMs - SLOPPY_JITTER_MS),
     );
     const max = Math.max(
       min,
-      Math.round(currentSloppyBaselineMs + SLOPPY_JITTER_MS),
+      Math.round(state.sloppyBaselineMs + SLOPPY_JITTER_MS),
     );
     return randomDelayMs(min, max);
   }
@@ -289,6 +301,7 @@ module.exports = function typingStylesPack(engine) {
    * "Sloppy" style: per-character typing with occasional mistakes and corrections.
    */
   function expandSloppy(payload) {
+    const { sloppyMistakeChance: mistakeChance } = styleState();
     const chunks = chunkWords(payload);
     const out = [];
 
@@ -315,7 +328,7 @@ module.exports = function typingStylesPack(engine) {
       }
 
       // with some probability, inject a single-character mistake
-      if (Math.random() < currentSloppyMistakeChance && chunk.length >= 3) {
+      if (Math.random() < mistakeChance && chunk.length >= 3) {
         const idx = Math.floor(rand(1, chunk.length - 1)); // avoid first char
         const correctChar = chunk[idx];
         const wrongChar = randomCharExcept(correctChar);
@@ -389,31 +402,34 @@ module.exports = function typingStylesPack(engine) {
 
   registerTransform("preExpandToken", (cmd, ctx) => {
     if (!ctx || ctx.eachLine !== true) return cmd;
+    const state = styleState();
     const trimmed = String(cmd || "").trim();
     if (!trimmed) return cmd;
     const base = baseCommandName(trimmed);
-    if (currentStyle === "human" && base === "Type") {
+    if (state.style === "human" && base === "Type") {
       return trimmed.replace(/^Type\b/, "HumanType");
     }
-    if (currentStyle === "sloppy" && base === "Type") {
+    if (state.style === "sloppy" && base === "Type") {
       return trimmed.replace(/^Type\b/, "SloppyType");
     }
     return cmd;
   });
 
   registerTransform("postExpand", (line) => {
-    if (currentStyle === "default") return line;
+    const state = styleState();
+    if (state.style === "default") return line;
     const trimmed = String(line || "").trim();
     if (!trimmed) return line;
     if (baseCommandName(trimmed) !== "Type") return line;
 
     const payload = extractTypePayload(trimmed);
-    if (currentStyle === "human") return expandHuman(payload);
-    if (currentStyle === "sloppy") return expandSloppy(payload);
+    if (state.style === "human") return expandHuman(payload);
+    if (state.style === "sloppy") return expandSloppy(payload);
     return line;
   });
 
-  registerTransform("header", (cmds) => {
+  registerTransform("header", (cmds, ctx) => {
+    const state = styleState();
     const out = [];
 
     for (const cmd of cmds) {
@@ -428,9 +444,9 @@ module.exports = function typingStylesPack(engine) {
           const styleToken = parts[2];
 
           if (styleToken === "None") {
-            currentStyle = "default";
+            state.style = "default";
           } else if (styleToken === "Default") {
-            currentStyle = defaultStyle;
+            state.style = defaultStyle;
           } else {
             const style = String(styleToken || "default").toLowerCase();
             if (
@@ -438,7 +454,7 @@ module.exports = function typingStylesPack(engine) {
               style === "sloppy" ||
               style === "default"
             ) {
-              currentStyle = style;
+              state.style = style;
               const rest = parts.slice(3);
               if (style === "human") {
                 const humanOpts = parseLevelAndSpeed(
@@ -449,11 +465,11 @@ module.exports = function typingStylesPack(engine) {
                 if (humanOpts.level) {
                   const resolved = resolveHumanLevel(humanOpts.level);
                   if (resolved) {
-                    currentHumanMultiplier = resolved.multiplier;
+                    state.humanMultiplier = resolved.multiplier;
                   }
                 }
                 if (Number.isFinite(humanOpts.baselineMs)) {
-                  currentHumanBaselineMs = Math.max(0, humanOpts.baselineMs);
+                  state.humanBaselineMs = Math.max(0, humanOpts.baselineMs);
                 }
               }
               if (style === "sloppy") {
@@ -465,24 +481,30 @@ module.exports = function typingStylesPack(engine) {
                 if (sloppyOpts.level) {
                   const resolved = resolveSloppyLevel(sloppyOpts.level);
                   if (resolved) {
-                    currentSloppyMistakeChance = resolved.mistakeChance;
+                    state.sloppyMistakeChance = resolved.mistakeChance;
                   }
                 }
                 if (Number.isFinite(sloppyOpts.baselineMs)) {
-                  currentSloppyBaselineMs = Math.max(0, sloppyOpts.baselineMs);
+                  state.sloppyBaselineMs = Math.max(0, sloppyOpts.baselineMs);
                 }
               }
             } else {
-              currentStyle = "default";
+              state.style = "default";
+              report({
+                severity: "warning",
+                code: "typingStyles/unknown-style",
+                message: `Unknown typing style '${styleToken}' (expected human, sloppy, None or Default); using plain Type`,
+                line: ctx && ctx.lineNo,
+              });
             }
           }
           continue;
         }
       }
 
-      if (currentStyle === "human" && base === "Type") {
+      if (state.style === "human" && base === "Type") {
         out.push(trimmed.replace(/^Type\b/, "HumanType"));
-      } else if (currentStyle === "sloppy" && base === "Type") {
+      } else if (state.style === "sloppy" && base === "Type") {
         out.push(trimmed.replace(/^Type\b/, "SloppyType"));
       } else {
         out.push(trimmed);
@@ -6,23 +6,32 @@
  */
 
 const { makeAliasMacro, reportHeaderIssue } = require("./helpers");
+const { splitTokens } = require("./tokenizer");
+const { createDiagnostic, formatDiagnostic } = require("./diagnostics");
 
 /**
  * Parse a file header at the top of the .tape.pre:
  * - Skips blank lines and comments (#..., //...).
  * - `Pack ...` lines load pack modules (header only).
+ * - `UseFile ...` lines import the header of another .tape.pre file.
  * - `Use ...` lines collect macro names to activate.
- * - Alias lines: Name = Cmd1, Cmd2, ...
+ * - Alias lines: Name = Cmd1, Cmd2, ... or Name(a, b=default) = ...
  * - Stops at the first line that is not blank/comment/alias/Use.
  *
  * @param {string[]} lines - All lines of the file
  * @param {"off"|"warn"|"error"} headerValidation - Validation mode (default: "warn")
- * @returns {{ macrosFromHeader: object, useNames: string[], packPaths: string[], bodyLines: string[], bodyStartIndex: number }}
+ * @param {Function} [report] - Receives header warnings as diagnostics
+ *   (console.warn when omitted)
+ * @returns {{ macrosFromHeader: object, aliasLines: object, useNames: string[], packPaths: string[], packLines: number[], useFilePaths: string[], useFileLines: number[], bodyLines: string[], bodyStartIndex: number }}
  */
-function parseFileHeader(lines, headerValidation = "warn") {
+function parseFileHeader(lines, headerValidation = "warn", report) {
   const macrosFromHeader = {};
+  const aliasLines = {};
   const useNames = [];
   const packPaths = [];
+  const packLines = [];
+  const useFilePaths = [];
+  const useFileLines = [];
   let bodyStart = lines.length;
   let hasHeaderContent = false;
 
@@ -40,22 +49,49 @@ function parseFileHeader(lines, headerValidation = "warn") {
           lineNo,
           "Directive syntax '>' found in header (should be in body after blank line)",
           line,
+          { code: "directive-in-header", report },
         );
       }
       bodyStart = i;
       break;
     }
 
-    const packResult = tryParsePackStatement(line, headerValidation, lineNo);
+    const packResult = tryParsePackStatement(
+      line,
+      headerValidation,
+      lineNo,
+      report,
+    );
     if (packResult.matched) {
       if (packResult.path) {
         packPaths.push(packResult.path);
+        packLines.push(lineNo);
+        hasHeaderContent = true;
+      }
+      continue;
+    }
+
+    const useFileResult = tryParseUseFileStatement(
+      line,
+      headerValidation,
+      lineNo,
+      report,
+    );
+    if (useFileResult.matched) {
+      if (useFileResult.path) {
+        useFilePaths.push(useFileResult.path);
+        useFileLines.push(lineNo);
         hasHeaderContent = true;
       }
       continue;
     }
 
-    const useResult = tryParseUseStatement(line, headerValidation, lineNo);
+    const useResult = tryParseUseStatement(
+      line,
+      headerValidation,
+      lineNo,
+      report,
+    );
     if (useResult.matched) {
       if (useResult.names.length > 0) {
         useNames.push(...useResult.names);
@@ -64,10 +100,11 @@ function parseFileHeader(lines, headerValidation = "warn") {
       continue;
     }
 
-    const aliasResult = tryParseAlias(line, headerValidation, lineNo);
+    const aliasResult = tryParseAlias(line, headerValidation, lineNo, report);
     if (aliasResult.matched) {
       if (aliasResult.name && aliasResult.macro) {
         macrosFromHeader[aliasResult.name] = aliasResult.macro;
+        aliasLines[aliasResult.name] = lineNo;
         hasHeaderContent = true;
       }
       continue;
@@ -79,6 +116,7 @@ function parseFileHeader(lines, headerValidation = "warn") {
         lineNo,
         "Malformed alias definition (expected: Name = Cmd1, Cmd2, ...)",
         line,
+        { code: "malformed-alias", report },
       );
       bodyStart = i;
       break;
@@ -91,8 +129,12 @@ function parseFileHeader(lines, headerValidation = "warn") {
 
   return {
     macrosFromHeader,
+    aliasLines,
     useNames,
     packPaths,
+    packLines,
+    useFilePaths,
+    useFileLines,
     bodyLines: lines.slice(bodyStart),
     bodyStartIndex: bodyStart,
   };
@@ -128,9 +170,10 @@ function isMalformedAlias(line) {
  * @param {string} line - The line to parse
  * @param {"off"|"warn"|"error"} headerValidation - Validation mode
  * @param {number} lineNo - 1-based line number for error reporting
+ * @param {Function} [report] - Receives warnings as diagnostics
  * @returns {{ matched: boolean, names: string[] }}
  */
-function tryParseUseStatement(line, headerValidation, lineNo) {
+function tryParseUseStatement(line, headerValidation, lineNo, report) {
   const useMatch = line.match(/^\s*Use\s*(.*)$/);
   if (useMatch === null || !/^\s*Use\b/.test(line)) {
     return { matched: false, names: [] };
@@ -143,6 +186,7 @@ function tryParseUseStatement(line, headerValidation, lineNo) {
       lineNo,
       "'Use' requires at least one macro name",
       line,
+      { code: "empty-use", report },
     );
     return { matched: true, names: [] };
   }
@@ -161,9 +205,10 @@ function tryParseUseStatement(line, headerValidation, lineNo) {
  * @param {string} line - The line to parse
  * @param {"off"|"warn"|"error"} headerValidation - Validation mode
  * @param {number} lineNo - 1-based line number for error reporting
+ * @param {Function} [report] - Receives warnings as diagnostics
  * @returns {{ matched: boolean, path: string }}
  */
-function tryParsePackStatement(line, headerValidation, lineNo) {
+function tryParsePackStatement(line, headerValidation, lineNo, report) {
   const packMatch = line.match(/^\s*Pack\s*(.*)$/);
   if (packMatch === null || !/^\s*Pack\b/.test(line)) {
     return { matched: false, path: "" };
@@ -176,16 +221,49 @@ function tryParsePackStatement(line, headerValidation, lineNo) {
       lineNo,
       "'Pack' requires a path to a JS file",
       line,
+      { code: "empty-pack", report },
     );
     return { matched: true, path: "" };
   }
 
+  return { matched: true, path: unquotePath(raw) };
+}
+
+/**
+ * Try to parse a UseFile statement from a line.
+ *
+ * @param {string} line - The line to parse
+ * @param {"off"|"warn"|"error"} headerValidation - Validation mode
+ * @param {number} lineNo - 1-based line number for error reporting
+ * @param {Function} [report] - Receives warnings as diagnostics
+ * @returns {{ matched: boolean, path: string }}
+ */
+function tryParseUseFileStatement(line, headerValidation, lineNo, report) {
+  const useFileMatch = line.match(/^\s*UseFile\b\s*(.*)$/);
+  if (useFileMatch === null) {
+    return { matched: false, path: "" };
+  }
+
+  const raw = useFileMatch[1].trim();
+  if (!raw) {
+    reportHeaderIssue(
+      headerValidation,
+      lineNo,
+      "'UseFile' requires a path to a .tape.pre file",
+      line,
+      { code: "empty-usefile", report },
+    );
+    return { matched: true, path: "" };
+  }
+
+  return { matched: true, path: unquotePath(raw) };
+}
+
+function unquotePath(raw) {
   const quoted =
     (raw.startsWith('"') && raw.endsWith('"')) ||
     (raw.startsWith("'") && raw.endsWith("'"));
-  const packPath = quoted ? raw.slice(1, -1).trim() : raw;
-
-  return { matched: true, path: packPath };
+  return quoted ? raw.slice(1, -1).trim() : raw;
 }
 
 /**
@@ -194,21 +272,46 @@ function tryParsePackStatement(line, headerValidation, lineNo) {
  * @param {string} line - The line to parse
  * @param {"off"|"warn"|"error"} headerValidation - Validation mode
  * @param {number} lineNo - 1-based line number for error reporting
+ * @param {Function} [report] - Receives warnings as diagnostics
  * @returns {{ matched: boolean, name: string|null, macro: Function|null }}
  */
-function tryParseAlias(line, headerValidation, lineNo) {
-  const aliasMatch = line.match(/^\s*([A-Za-z_]\w*)\s*=\s*(.+)$/);
+function tryParseAlias(line, headerValidation, lineNo, report) {
+  const aliasMatch = line.match(
+    /^\s*([A-Za-z_]\w*)\s*(?:\(([^)]*)\))?\s*=\s*(.+)$/,
+  );
   if (!aliasMatch) {
     return { matched: false, name: null, macro: null };
   }
 
   const name = aliasMatch[1];
-  const rhs = aliasMatch[2];
+  const rhs = aliasMatch[3];
 
-  const bodyCmds = rhs
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+  const params = parseAliasParams(aliasMatch[2]);
+  if (params.error) {
+    reportHeaderIssue(
+      headerValidation,
+      lineNo,
+      `Invalid parameters for alias '${name}': ${params.error} (expected: Name(a, b=default) = ...)`,
+      line,
+      { code: "invalid-alias-params", report },
+    );
+    return { matched: true, name: null, macro: null };
+  }
+
+  const { tokens: bodyCmds, issues } = splitTokens(rhs);
+  const rhsOffset = line.length - rhs.length;
+  for (const issue of issues) {
+    const diagnostic = {
+      severity: "warning",
+      code: "unterminated-quote",
+      message: issue.message,
+      line: lineNo,
+      column: rhsOffset + issue.column,
+      snippet: line,
+    };
+    if (report) report(diagnostic);
+    else console.warn(formatDiagnostic(createDiagnostic(diagnostic)));
+  }
 
   if (bodyCmds.length === 0) {
     reportHeaderIssue(
@@ -216,6 +319,7 @@ function tryParseAlias(line, headerValidation, lineNo) {
       lineNo,
       "Alias has empty body (expected: Name = Cmd1, Cmd2, ...)",
       line,
+      { code: "empty-alias", report },
     );
     return { matched: true, name: null, macro: null };
   }
@@ -223,8 +327,35 @@ function tryParseAlias(line, headerValidation, lineNo) {
   return {
     matched: true,
     name,
-    macro: makeAliasMacro(name, bodyCmds),
+    macro: makeAliasMacro(name, bodyCmds, params.list),
   };
 }
 
+/**
+ * Parse an alias signature such as `cmd, wait=1s`.
+ *
+ * @param {string|undefined} text - Text between the parentheses, if any
+ * @returns {{ list: { name: string, default?: string }[], error?: string }}
+ */
+function parseAliasParams(text) {
+  if (text === undefined || !text.trim()) return { list: [] };
+  const list = [];
+  for (const part of text.split(",")) {
+    const m = part.trim().match(/^([A-Za-z_]\w*)(?:\s*=\s*(.*))?$/);
+    if (!m) return { list, error: `'${part.trim()}' is not a parameter name` };
+    if (list.some((p) => p.name === m[1])) {
+      return { list, error: `duplicate parameter '${m[1]}'` };
+    }
+    if (m[2] !== undefined && m[2].includes("}")) {
+      return { list, error: `default for '${m[1]}' cannot contain '}'` };
+    }
+    list.push(
+      m[2] === undefined
+        ? { name: m[1] }
+        : { name: m[1], default: m[2].trim() },
+    );
+  }
+  return { list };
+}
+
 module.exports = { parseFileHeader };
@@ -0,0 +1,102 @@
+/**
+ * Source maps from compiled .tape lines back to .tape.pre lines.
+ *
+ * `--source-map` writes a JSON sidecar next to the output (`demo.tape.map`):
+ *
+ *     {
+ *       "version": 1,
+ *       "file": "demo.tape",
+ *       "source": "demo.tape.pre",
+ *       "lines": [{ "line": 6, "stack": ["Run", "Type"] }, ...]
+ *     }
+ *
+ * `lines[i]` describes output line `i + 1` (see engine.getSourceMap);
+ * `file` and `source` are relative to the map's directory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_MAP_VERSION = 1;
+
+/**
+ * Path of the sidecar map for an output file.
+ *
+ * @param {string} outputPath - Compiled .tape path
+ * @returns {string} Map path (`<output>.map`)
+ */
+function sourceMapPath(outputPath) {
+  return `${outputPath}.map`;
+}
+
+/**
+ * Build a source map object for a compiled file.
+ *
+ * @param {object[]} lines - Result of engine.getSourceMap()
+ * @param {string} inputPath - .tape.pre path
+ * @param {string} outputPath - Compiled .tape path
+ * @returns {{ version: number, file: string, source: string, lines: object[] }}
+ */
+function createSourceMap(lines, inputPath, outputPath) {
+  const dir = path.dirname(path.resolve(outputPath));
+  return {
+    version: SOURCE_MAP_VERSION,
+    file: path.relative(dir, path.resolve(outputPath)),
+    source: path.relative(dir, path.resolve(inputPath)),
+    lines,
+  };
+}
+
+/**
+ * Write the sidecar map for the engine's last compile.
+ *
+ * @param {object} engine - Engine that compiled the input
+ * @param {string} inputPath - .tape.pre path
+ * @param {string} outputPath - Compiled .tape path
+ * @returns {string} Map path
+ */
+function writeSourceMap(engine, inputPath, outputPath) {
+  const mapPath = sourceMapPath(outputPath);
+  const map = createSourceMap(engine.getSourceMap(), inputPath, outputPath);
+  fs.writeFileSync(mapPath, `${JSON.stringify(map)}\n`, "utf8");
+  return mapPath;
+}
+
+/**
+ * Read a sidecar map.
+ *
+ * @param {string} mapPath - Map file path
+ * @returns {object} Parsed map
+ * @throws {Error} When the file is missing or not a pre-vhs source map
+ */
+function readSourceMap(mapPath) {
+  if (!fs.existsSync(mapPath)) {
+    throw new Error(
+      `Source map not found: ${mapPath} (compile with --source-map)`,
+    );
+  }
+  const map = JSON.parse(fs.readFileSync(mapPath, "utf8"));
+  if (map.version !== SOURCE_MAP_VERSION || !Array.isArray(map.lines)) {
+    throw new Error(`Not a pre-vhs source map: ${mapPath}`);
+  }
+  return map;
+}
+
+/**
+ * Find where an output line came from.
+ *
+ * @param {object} map - Source map (see createSourceMap)
+ * @param {number} outputLine - 1-based line in the compiled .tape
+ * @returns {{ line: number, stack: string[] }|null} Origin, or null if unknown
+ */
+function lookupLine(map, outputLine) {
+  return map.lines[outputLine - 1] || null;
+}
+
+module.exports = {
+  sourceMapPath,
+  createSourceMap,
+  writeSourceMap,
+  readSourceMap,
+  lookupLine,
+};
@@ -0,0 +1,81 @@
+/**
+ * Comma tokenizer shared by directive lines and header alias bodies.
+ *
+ *     > Type "Hello, world", Enter       →  ['Type "Hello, world"', "Enter"]
+ *     Greet = Type `a, b`, Sleep 1s      →  ["Type `a, b`", "Sleep 1s"]
+ *
+ * Commas inside double, single or backtick quotes do not split. A quote only
+ * opens at the start of a word, so apostrophes (`Type it's`) stay literal.
+ * Backslash escapes a quote inside a quoted run and `\,` is a literal comma
+ * outside one. Quoted text is kept as written (quotes and escapes included)
+ * for the macro or VHS command that receives it.
+ */
+
+const QUOTE_NAMES = { '"': "double", "'": "single", "`": "backtick" };
+
+/**
+ * Split text into trimmed, non-empty comma-separated tokens.
+ *
+ * An unterminated quote is reported as an issue and treated as a literal
+ * character, so the rest of the text splits as if it were not there.
+ *
+ * @param {string} text - Directive header (after `>`) or alias body
+ * @returns {{ tokens: string[], issues: { message: string, column: number }[] }}
+ *   Tokens plus problems found, with 1-based columns into `text`
+ */
+function splitTokens(text) {
+  const src = String(text);
+  const tokens = [];
+  const issues = [];
+  let current = "";
+
+  const flush = () => {
+    const token = current.trim();
+    if (token) tokens.push(token);
+    current = "";
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === "\\" && i + 1 < src.length) {
+      // `\,` is a literal comma; other escapes are left for later stages
+      current += src[i + 1] === "," ? "," : ch + src[i + 1];
+      i += 2;
+    } else if (ch === ",") {
+      flush();
+      i += 1;
+    } else if (QUOTE_NAMES[ch] && (i === 0 || /[\s,]/.test(src[i - 1]))) {
+      const end = closingQuote(src, i);
+      if (end < 0) {
+        issues.push({
+          message: `Unterminated ${QUOTE_NAMES[ch]} quote (${ch})`,
+          column: i + 1,
+        });
+        current += ch;
+        i += 1;
+      } else {
+        current += src.slice(i, end + 1);
+        i = end + 1;
+      }
+    } else {
+      current += ch;
+      i += 1;
+    }
+  }
+  flush();
+
+  return { tokens, issues };
+}
+
+function closingQuote(src, start) {
+  const quote = src[start];
+  for (let j = start + 1; j < src.length; j += 1) {
+    if (src[j] === "\\") j += 1;
+    else if (src[j] === quote) return j;
+  }
+  return -1;
+}
+
+module.exports = { splitTokens };
@@ -3,6 +3,11 @@
  *
  * Creates transform registries and application functions for the
  * four processing phases: header, preExpandToken, postExpand, finalize.
+ *
+ * The apply functions are generators that yield each transform's return
+ * value and continue with what they are sent back, so the engine can run
+ * them synchronously or await transforms that return promises. Use them
+ * with `yield*` from the engine's expansion generators.
  */
 
 /**
@@ -31,18 +36,31 @@ function createTransformPipeline() {
     }
   }
 
+  /**
+   * Remove a previously registered transform.
+   *
+   * @param {string} phase - Transform phase
+   * @param {Function} fn - Transform function passed to registerTransform
+   */
+  function unregisterTransform(phase, fn) {
+    const list = transforms[phase];
+    if (!list) return;
+    const idx = list.lastIndexOf(fn);
+    if (idx >= 0) list.splice(idx, 1);
+  }
+
   /**
    * Apply header transforms to command tokens.
    * Each transform receives the full array and returns a new array.
    *
    * @param {string[]} cmds - Command tokens
    * @param {object} ctx - Context object
-   * @returns {string[]} Transformed tokens
+   * @returns {Generator<*, string[]>} Transformed tokens
    */
-  function applyHeaderTransforms(cmds, ctx) {
+  function* applyHeaderTransforms(cmds, ctx) {
     let current = cmds;
     for (const fn of transforms.header) {
-      const next = fn(current, ctx);
+      const next = yield fn(current, ctx);
       if (Array.isArray(next)) current = next;
     }
     return current;
@@ -54,14 +72,14 @@ function createTransformPipeline() {
    *
    * @param {string} cmd - Single command token
    * @param {object} ctx - Context object
-   * @returns {string[]} Expanded tokens
+   * @returns {Generator<*, string[]>} Expanded tokens
    */
-  function applyPreExpandTransforms(cmd, ctx) {
+  function* applyPreExpandTransforms(cmd, ctx) {
     let bucket = [cmd];
     for (const fn of transforms.preExpandToken) {
       const nextBucket = [];
       for (const token of bucket) {
-        const res = fn(token, ctx);
+        const res = yield fn(token, ctx);
         if (Array.isArray(res) && res.length) {
           nextBucket.push(...res);
         } else if (typeof res === "string") {
@@ -81,14 +99,14 @@ function createTransformPipeline() {
    *
    * @param {string|string[]} lines - Output line(s)
    * @param {object} ctx - Context object
-   * @returns {string[]} Transformed lines
+   * @returns {Generator<*, string[]>} Transformed lines
    */
-  function applyPostExpandTransforms(lines, ctx) {
+  function* applyPostExpandTransforms(lines, ctx) {
     let bucket = Array.isArray(lines) ? [...lines] : [lines];
     for (const fn of transforms.postExpand) {
       const nextBucket = [];
       for (const line of bucket) {
-        const res = fn(line, ctx);
+        const res = yield fn(line, ctx);
         if (Array.isArray(res) && res.length) {
           nextBucket.push(...res);
         } else if (typeof res === "string") {
@@ -107,12 +125,12 @@ function createTransformPipeline() {
    * Each transform receives and returns the full line array.
    *
    * @param {string[]} lines - All output lines
-   * @returns {string[]} Finalized lines
+   * @returns {Generator<*, string[]>} Finalized lines
    */
-  function applyFinalizeTransforms(lines) {
+  function* applyFinalizeTransforms(lines) {
     let current = lines;
     for (const fn of transforms.finalize) {
-      const next = fn(current);
+      const next = yield fn(current);
       if (Array.isArray(next)) current = next;
     }
     return current;
@@ -120,6 +138,7 @@ function createTransformPipeline() {
 
   return {
     registerTransform,
+    unregisterTransform,
     applyHeaderTransforms,
     applyPreExpandTransforms,
     applyPostExpandTransforms,
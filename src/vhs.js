@@ -0,0 +1,61 @@
+/**
+ * Running VHS on compiled tapes for `--run`.
+ *
+ * Spawns the VHS binary with inherited stdio so its progress output streams
+ * straight to the terminal, and reports its exit code back to the CLI.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const DEFAULT_VHS_BIN = "vhs";
+
+/**
+ * Run VHS on a tape file and wait for it to finish.
+ *
+ * @param {string} tapePath - Path of the compiled .tape
+ * @param {object} [options] - Spawn options
+ * @param {string} [options.vhsBin="vhs"] - VHS executable (name on PATH or path)
+ * @param {string} [options.cwd] - Working directory (VHS resolves Output paths from it)
+ * @returns {number} VHS exit code
+ * @throws {Error} When the binary cannot be started
+ */
+function runVhs(tapePath, options = {}) {
+  const vhsBin = options.vhsBin || DEFAULT_VHS_BIN;
+  const result = spawnSync(vhsBin, [tapePath], {
+    cwd: options.cwd || process.cwd(),
+    stdio: "inherit",
+  });
+
+  if (result.error) {
+    const reason =
+      result.error.code === "ENOENT" ? "not found" : result.error.message;
+    throw new Error(`Could not run ${vhsBin}: ${reason} (set --vhs-bin)`);
+  }
+  if (result.signal) {
+    throw new Error(`${vhsBin} was terminated by ${result.signal}`);
+  }
+  return result.status;
+}
+
+/**
+ * Write compiled text to a temporary .tape, run VHS on it, then remove it.
+ *
+ * @param {string} text - Compiled tape contents
+ * @param {object} [options] - Options passed to runVhs
+ * @returns {number} VHS exit code
+ */
+function runVhsOnText(text, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-"));
+  const tapePath = path.join(dir, "stdin.tape");
+  try {
+    fs.writeFileSync(tapePath, text, "utf8");
+    return runVhs(tapePath, options);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { DEFAULT_VHS_BIN, runVhs, runVhsOnText };
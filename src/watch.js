@@ -0,0 +1,152 @@
+/**
+ * Watch mode for the pre-vhs CLI.
+ *
+ * Recompiles a .tape.pre whenever the file itself, or any local pack it
+ * loads through a header `Pack` line (or a local module that pack
+ * requires), changes on disk. Every rebuild uses a fresh engine and evicts
+ * watched modules from the require cache so edited pack code is picked up.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { createEngine: defaultCreateEngine } = require("./engine");
+const { ensureLoadedPacks } = require("./packLoader");
+
+const DEFAULT_POLL_INTERVAL_MS = 100;
+const DEFAULT_DEBOUNCE_MS = 50;
+
+// pre-vhs's own modules, including the first-party packs
+const OWN_DIR = __dirname + path.sep;
+
+/**
+ * Collect the files of local pack modules loaded by an engine, plus the
+ * local modules they require. First-party packs and node_modules are left
+ * out.
+ *
+ * @param {object} engine - Engine instance used for the last build
+ * @returns {string[]} Module file paths
+ */
+function collectPackFiles(engine) {
+  const files = new Set();
+  for (const id of ensureLoadedPacks(engine)) {
+    if (!path.isAbsolute(id)) continue;
+    let file;
+    try {
+      // `Pack ./label` loads label.js
+      file = require.resolve(id);
+    } catch {
+      // Missing pack: watch the path so creating it triggers a rebuild
+      files.add(id);
+      continue;
+    }
+    addLocalModule(file, files);
+  }
+  return [...files];
+}
+
+function addLocalModule(file, files) {
+  if (files.has(file) || file.startsWith(OWN_DIR)) return;
+  if (file.split(path.sep).includes("node_modules")) return;
+  files.add(file);
+  const mod = require.cache[file];
+  for (const child of mod ? mod.children : []) {
+    addLocalModule(child.filename, files);
+  }
+}
+
+function evictFromRequireCache(files) {
+  for (const file of files) {
+    delete require.cache[file];
+  }
+}
+
+/**
+ * Start watching an input file and its packs, rebuilding on change.
+ *
+ * Build errors are reported through `onError` and never stop the watcher.
+ *
+ * @param {object} options - Watch configuration
+ * @param {string} options.inputPath - Absolute path of the .tape.pre file
+ * @param {Function} options.build - Called as build(engine); compiles and writes output
+ * @param {Function} [options.createEngine] - Engine factory (fresh engine per build)
+ * @param {Function} [options.extraFiles] - Returns more files to watch (checked after each build)
+ * @param {Function} [options.onBuild] - Called after a successful build
+ * @param {Function} [options.onError] - Called with the error of a failed build
+ * @param {number} [options.interval=100] - Poll interval in ms
+ * @param {number} [options.debounce=50] - Delay before rebuilding after a change
+ * @returns {{ rebuild: Function, close: Function, watchedFiles: Function }}
+ */
+function watchFile(options) {
+  const {
+    inputPath,
+    build,
+    createEngine = defaultCreateEngine,
+    extraFiles = () => [],
+    onBuild = () => {},
+    onError = () => {},
+    interval = DEFAULT_POLL_INTERVAL_MS,
+    debounce = DEFAULT_DEBOUNCE_MS,
+  } = options;
+
+  const watched = new Set();
+  let packFiles = [];
+  let pending = null;
+  let closed = false;
+
+  function onChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    if (pending) clearTimeout(pending);
+    pending = setTimeout(() => {
+      pending = null;
+      if (!closed) rebuild();
+    }, debounce);
+  }
+
+  function syncWatchers(files) {
+    const next = new Set(files);
+    for (const file of watched) {
+      if (next.has(file)) continue;
+      fs.unwatchFile(file, onChange);
+      watched.delete(file);
+    }
+    for (const file of next) {
+      if (watched.has(file)) continue;
+      fs.watchFile(file, { interval, persistent: true }, onChange);
+      watched.add(file);
+    }
+  }
+
+  function rebuild() {
+    evictFromRequireCache(packFiles);
+    let engine = null;
+    try {
+      engine = createEngine();
+      build(engine);
+      onBuild();
+    } catch (err) {
+      onError(err);
+    }
+    // Keep watching packs that loaded before a failure, plus the last
+    // known set, so fixing a broken pack triggers the next rebuild.
+    const loaded = engine ? collectPackFiles(engine) : [];
+    packFiles = loaded.length ? loaded : packFiles;
+    syncWatchers([inputPath, ...packFiles, ...extraFiles()]);
+  }
+
+  function close() {
+    closed = true;
+    if (pending) clearTimeout(pending);
+    syncWatchers([]);
+  }
+
+  rebuild();
+
+  return {
+    rebuild,
+    close,
+    watchedFiles: () => [...watched],
+  };
+}
+
+module.exports = { watchFile, collectPackFiles };
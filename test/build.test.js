@@ -0,0 +1,152 @@
+/**
+ * Tests for batch compilation (src/build.js).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import {
+  globBase,
+  tapeOutputName,
+  resolveBuildTargets,
+  buildFiles,
+} from "../src/build.js";
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+describe("globBase", () => {
+  it("returns the static directory prefix", () => {
+    expect(globBase("tapes/**/*.tape.pre")).toBe("tapes");
+    expect(globBase("tapes/demos/*.tape.pre")).toBe(
+      path.join("tapes", "demos"),
+    );
+  });
+
+  it("returns '.' when the pattern starts with a glob", () => {
+    expect(globBase("*.tape.pre")).toBe(".");
+    expect(globBase("**/*.tape.pre")).toBe(".");
+  });
+});
+
+describe("tapeOutputName", () => {
+  it("drops the .pre suffix of .tape.pre files", () => {
+    expect(tapeOutputName("a/demo.tape.pre")).toBe("a/demo.tape");
+  });
+
+  it("swaps other extensions for .tape", () => {
+    expect(tapeOutputName("demo.pre")).toBe("demo.tape");
+    expect(tapeOutputName("demo")).toBe("demo.tape");
+  });
+});
+
+describe("buildFiles", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-build-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes outputs next to inputs without an out dir", () => {
+    write(path.join(tmpDir, "tapes", "one.tape.pre"), "> Type $1\none");
+
+    const results = buildFiles(["tapes/*.tape.pre"], { cwd: tmpDir });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].ok).toBe(true);
+    expect(
+      fs.readFileSync(path.join(tmpDir, "tapes", "one.tape"), "utf8"),
+    ).toBe("Type `one`");
+  });
+
+  it("mirrors the directory structure under the out dir", () => {
+    write(path.join(tmpDir, "tapes", "a.tape.pre"), "> Type $1\na");
+    write(path.join(tmpDir, "tapes", "nested", "b.tape.pre"), "> Type $1\nb");
+
+    const results = buildFiles(["tapes/**/*.tape.pre"], {
+      cwd: tmpDir,
+      outDir: "dist",
+    });
+
+    expect(results.map((r) => r.ok)).toEqual([true, true]);
+    expect(fs.readFileSync(path.join(tmpDir, "dist", "a.tape"), "utf8")).toBe(
+      "Type `a`",
+    );
+    expect(
+      fs.readFileSync(path.join(tmpDir, "dist", "nested", "b.tape"), "utf8"),
+    ).toBe("Type `b`");
+  });
+
+  it("writes a source map next to each output when asked", () => {
+    write(path.join(tmpDir, "tapes", "a.tape.pre"), "> Type $1\na");
+
+    buildFiles(["tapes/*.tape.pre"], {
+      cwd: tmpDir,
+      outDir: "dist",
+      sourceMap: true,
+    });
+
+    const map = JSON.parse(
+      fs.readFileSync(path.join(tmpDir, "dist", "a.tape.map"), "utf8"),
+    );
+    expect(map.source).toBe(path.join("..", "tapes", "a.tape.pre"));
+    expect(map.lines).toEqual([{ line: 1, stack: ["Type"] }]);
+  });
+
+  it("uses a fresh engine per file", () => {
+    write(path.join(tmpDir, "a.tape.pre"), "Greet = Type hello\n\n> Greet");
+    write(path.join(tmpDir, "b.tape.pre"), "> Greet");
+
+    buildFiles(["*.tape.pre"], { cwd: tmpDir });
+
+    expect(fs.readFileSync(path.join(tmpDir, "a.tape"), "utf8")).toBe(
+      "Type `hello`",
+    );
+    expect(fs.readFileSync(path.join(tmpDir, "b.tape"), "utf8")).toBe("Greet");
+  });
+
+  it("records failures and keeps building other files", () => {
+    write(path.join(tmpDir, "bad.tape.pre"), "A = B\nB = A\n\n> A");
+    write(path.join(tmpDir, "good.tape.pre"), "> Type $1\nok");
+
+    const results = buildFiles(["*.tape.pre"], { cwd: tmpDir });
+
+    const bad = results.find((r) => r.input.endsWith("bad.tape.pre"));
+    const good = results.find((r) => r.input.endsWith("good.tape.pre"));
+    expect(bad.ok).toBe(false);
+    expect(bad.error.message).toMatch(/recursion/);
+    expect(good.ok).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, "bad.tape"))).toBe(false);
+  });
+
+  it("fails files whose compile reports error diagnostics", () => {
+    const fixture = path.join(__dirname, "fixtures", "report.fixture.js");
+    write(path.join(tmpDir, "a.tape.pre"), `Pack ${fixture}\n\n> Fail $1\nx`);
+    const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const [result] = buildFiles(["*.tape.pre"], { cwd: tmpDir });
+
+    expect(result.ok).toBe(false);
+    expect(result.error.message).toBe("compiled with 1 error");
+    expect(fs.existsSync(path.join(tmpDir, "a.tape"))).toBe(true);
+    warnSpy.mockRestore();
+  });
+
+  it("deduplicates files matched by several patterns", () => {
+    write(path.join(tmpDir, "a.tape.pre"), "Output a.gif");
+
+    const targets = resolveBuildTargets(["*.tape.pre", "a.tape.pre"], {
+      cwd: tmpDir,
+    });
+
+    expect(targets).toHaveLength(1);
+  });
+});
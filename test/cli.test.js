@@ -35,6 +35,279 @@ describe("parseArgs", () => {
     });
   });
 
+  describe("watch flag", () => {
+    it("parses --watch and -w", () => {
+      expect(parseArgs(["node", "pre-vhs", "--watch", "demo"]).watch).toBe(
+        true,
+      );
+      expect(parseArgs(["node", "pre-vhs", "-w", "demo"]).watch).toBe(true);
+      expect(parseArgs(["node", "pre-vhs", "demo"]).watch).toBe(false);
+    });
+
+    it("keeps positional resolution with --watch", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "--watch",
+        "in.tape.pre",
+        "out.tape",
+      ]);
+      expect(result.inputPath).toBe("in.tape.pre");
+      expect(result.outputPath).toBe("out.tape");
+    });
+  });
+
+  describe("check flag", () => {
+    it("parses --check", () => {
+      const result = parseArgs(["node", "pre-vhs", "--check", "demo"]);
+      expect(result.check).toBe(true);
+      expect(result.inputPath).toBe("demo.tape.pre");
+      expect(result.outputPath).toBe("demo.tape");
+    });
+  });
+
+  describe("build command", () => {
+    it("parses build patterns and --out-dir", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "build",
+        "tapes/**/*.tape.pre",
+        "more/*.tape.pre",
+        "--out-dir",
+        "dist/tapes",
+      ]);
+      expect(result.command).toBe("build");
+      expect(result.patterns).toEqual([
+        "tapes/**/*.tape.pre",
+        "more/*.tape.pre",
+      ]);
+      expect(result.outDir).toBe("dist/tapes");
+      expect(result.inputPath).toBeUndefined();
+    });
+
+    it("accepts -o as a short form", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "build",
+        "*.pre",
+        "-o",
+        "out",
+      ]);
+      expect(result.outDir).toBe("out");
+    });
+  });
+
+  describe("config flag", () => {
+    it("parses --config and -c", () => {
+      expect(
+        parseArgs(["node", "pre-vhs", "--config", "a.json", "demo"]).configPath,
+      ).toBe("a.json");
+      expect(
+        parseArgs(["node", "pre-vhs", "-c", "b.json", "demo"]).configPath,
+      ).toBe("b.json");
+    });
+  });
+
+  describe("engine and pack flags", () => {
+    it("maps engine flags onto createEngine options", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "--header-validation",
+        "error",
+        "--max-steps",
+        "50000",
+        "--max-depth",
+        "64",
+        "--no-collision-warnings",
+        "demo",
+      ]);
+      expect(result.engineOptions).toEqual({
+        headerValidation: "error",
+        maxExpansionSteps: 50000,
+        maxExpansionDepth: 64,
+        warnOnMacroCollision: false,
+      });
+      expect(result.inputPath).toBe("demo.tape.pre");
+    });
+
+    it("collects repeatable packs and pack options", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "--pack",
+        "typingStyles",
+        "--pack",
+        "./team.js",
+        "--pack-option",
+        "typingStyles.defaultStyle=human",
+        "--pack-option",
+        "./team.js.timeout=250",
+        "--pack-option",
+        "probe.verbose=true",
+      ]);
+      expect(result.packs).toEqual(["typingStyles", "./team.js"]);
+      expect(result.packOptions).toEqual([
+        { pack: "typingStyles", key: "defaultStyle", value: "human" },
+        { pack: "./team.js", key: "timeout", value: 250 },
+        { pack: "probe", key: "verbose", value: true },
+      ]);
+    });
+
+    it("collects repeatable --define values", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "--define",
+        "VERSION=2.3.1",
+        "-D",
+        "GREETING=a=b",
+        "demo",
+      ]);
+      expect(result.engineOptions.defines).toEqual({
+        VERSION: "2.3.1",
+        GREETING: "a=b",
+      });
+    });
+
+    it.each([
+      [["--define", "1BAD=x"], "--define expects NAME=value"],
+      [["--max-steps", "many"], "Invalid value for --max-steps"],
+      [
+        ["--header-validation", "loud"],
+        "Invalid value for --header-validation",
+      ],
+      [["--pack-option", "defaultStyle=human"], "--pack-option expects"],
+      [["--pack"], "--pack requires a value"],
+    ])("rejects %j", (flags, message) => {
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() => parseArgs(["node", "pre-vhs", ...flags])).toThrow(
+        "process.exit(1)",
+      );
+      expect(mockError).toHaveBeenCalledWith(expect.stringContaining(message));
+
+      mockExit.mockRestore();
+      mockError.mockRestore();
+    });
+  });
+
+  describe("explain command and trace flag", () => {
+    it("parses explain with an input path", () => {
+      const result = parseArgs(["node", "pre-vhs", "explain", "demo.tape.pre"]);
+      expect(result.command).toBe("explain");
+      expect(result.inputPath).toBe("demo.tape.pre");
+      expect(result.outputPath).toBeUndefined();
+    });
+
+    it("parses macros with and without an input", () => {
+      expect(parseArgs(["node", "pre-vhs", "macros"])).toMatchObject({
+        command: "macros",
+        inputPath: undefined,
+      });
+      expect(
+        parseArgs(["node", "pre-vhs", "macros", "demo.tape.pre"]).inputPath,
+      ).toBe("demo.tape.pre");
+    });
+
+    it("parses --trace", () => {
+      expect(parseArgs(["node", "pre-vhs", "--trace", "demo"]).trace).toBe(
+        true,
+      );
+    });
+  });
+
+  describe("source maps", () => {
+    it("parses --source-map and lookup", () => {
+      expect(
+        parseArgs(["node", "pre-vhs", "demo", "--source-map"]),
+      ).toMatchObject({ sourceMap: true, outputPath: "demo.tape" });
+      expect(
+        parseArgs(["node", "pre-vhs", "lookup", "demo.tape", "12"]),
+      ).toMatchObject({
+        command: "lookup",
+        inputPath: "demo.tape",
+        lookupLine: 12,
+      });
+    });
+
+    it("rejects lookup without a valid line", () => {
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() =>
+        parseArgs(["node", "pre-vhs", "lookup", "demo.tape", "x"]),
+      ).toThrow("process.exit(1)");
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining("lookup expects <tape> <line>"),
+      );
+
+      mockExit.mockRestore();
+      mockError.mockRestore();
+    });
+  });
+
+  describe("run flags", () => {
+    it("parses --run and --vhs-bin", () => {
+      expect(
+        parseArgs(["node", "pre-vhs", "demo", "--run", "--vhs-bin", "./vhs"]),
+      ).toMatchObject({
+        run: true,
+        vhsBin: "./vhs",
+        inputPath: "demo.tape.pre",
+      });
+      expect(parseArgs(["node", "pre-vhs", "demo"]).run).toBe(false);
+    });
+  });
+
+  describe("init command", () => {
+    it("parses init with a name and options", () => {
+      const result = parseArgs([
+        "node",
+        "pre-vhs",
+        "init",
+        "intro",
+        "--template",
+        "probe",
+        "--with-config",
+        "--with-test",
+        "--force",
+      ]);
+      expect(result).toMatchObject({
+        command: "init",
+        inputPath: "intro",
+        template: "probe",
+        withConfig: true,
+        withTest: true,
+        force: true,
+      });
+    });
+
+    it("rejects an unknown template", () => {
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() =>
+        parseArgs(["node", "pre-vhs", "init", "--template", "fancy"]),
+      ).toThrow("process.exit(1)");
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining("Unknown template 'fancy'"),
+      );
+
+      mockExit.mockRestore();
+      mockError.mockRestore();
+    });
+  });
+
   describe("positional arguments", () => {
     it("parses explicit input/output mode (2 args)", () => {
       const result = parseArgs([
@@ -234,6 +507,692 @@ ls -la`;
     mockLog.mockRestore();
   });
 
+  it("compiles and keeps watching in watch mode", () => {
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi\n");
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+
+    const watcher = run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      help: false,
+      watch: true,
+    });
+
+    expect(
+      fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8").trimEnd(),
+    ).toBe("Type `hi`");
+    expect(mockLog).toHaveBeenCalledWith(
+      expect.stringContaining("Watching for changes"),
+    );
+
+    watcher.close();
+    mockLog.mockRestore();
+  });
+
+  it("rebuilds in watch mode when an included tape or UseFile library changes", async () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "UseFile lib.pre\n\n> Pause\nInclude scene.tape.pre\n",
+    );
+    fs.writeFileSync(path.join(tmpDir, "lib.pre"), "Pause = Sleep 1s");
+    fs.writeFileSync(path.join(tmpDir, "scene.tape.pre"), "Sleep 2s");
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+    const output = () =>
+      fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8").trimEnd();
+    const waitForOutput = async (expected) => {
+      for (let i = 0; i < 100 && output() !== expected; i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(output()).toBe(expected);
+    };
+
+    process.chdir(tmpDir);
+    const watcher = run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      help: false,
+      watch: true,
+    });
+
+    try {
+      expect(output()).toBe("Sleep 1s\nSleep 2s");
+      // Let the watchers take their first stat
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      fs.writeFileSync(path.join(tmpDir, "scene.tape.pre"), "Sleep 30s");
+      await waitForOutput("Sleep 1s\nSleep 30s");
+      fs.writeFileSync(path.join(tmpDir, "lib.pre"), "Pause = Sleep 10s");
+      await waitForOutput("Sleep 10s\nSleep 30s");
+    } finally {
+      watcher.close();
+      mockLog.mockRestore();
+    }
+  });
+
+  it("rejects --watch with --check", () => {
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(() =>
+      run({
+        inputPath: "demo.tape.pre",
+        outputPath: "demo.tape",
+        watch: true,
+        check: true,
+        help: false,
+      }),
+    ).toThrow("process.exit(1)");
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("--watch cannot be combined with --check"),
+    );
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+  });
+
+  it("rejects --check and --watch with subcommands", () => {
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    for (const [command, flag] of [
+      ["build", "check"],
+      ["build", "watch"],
+      ["explain", "check"],
+      ["macros", "check"],
+      ["macros", "watch"],
+    ]) {
+      mockError.mockClear();
+      expect(() =>
+        run({
+          command,
+          patterns: ["*.tape.pre"],
+          inputPath: "demo.tape.pre",
+          [flag]: true,
+          help: false,
+        }),
+      ).toThrow("process.exit(1)");
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `--${flag} only applies to compiling a single tape`,
+        ),
+      );
+    }
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+  });
+
+  it("requires an input file in watch mode", () => {
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(() => run({ help: false, watch: true })).toThrow("process.exit(1)");
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("--watch requires an input file"),
+    );
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+  });
+
+  it("honors a config file found above the tape's directory", () => {
+    fs.copyFileSync(
+      path.resolve(__dirname, "fixtures", "pack.fixture.js"),
+      path.join(tmpDir, "fixture.js"),
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, ".prevhsrc.json"),
+      JSON.stringify({
+        packs: [
+          { module: "./fixture.js", options: { suffix: "?" }, autoUse: true },
+        ],
+      }),
+    );
+    fs.mkdirSync(path.join(tmpDir, "tapes"));
+    fs.writeFileSync(
+      path.join(tmpDir, "tapes", "demo.tape.pre"),
+      "> FixtureEcho $1\nhi",
+    );
+
+    process.chdir(tmpDir);
+    run({
+      inputPath: "tapes/demo.tape.pre",
+      outputPath: "tapes/demo.tape",
+      help: false,
+    });
+
+    expect(
+      fs.readFileSync(path.join(tmpDir, "tapes", "demo.tape"), "utf8"),
+    ).toBe("Type `fixture? hi`");
+  });
+
+  it("prints unknown config keys as diagnostics naming the config", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, ".prevhsrc.json"),
+      JSON.stringify({ pakcs: [] }),
+    );
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "Type hi");
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    run({ inputPath: "demo.tape.pre", outputPath: "demo.tape", help: false });
+
+    expect(mockError).toHaveBeenCalledWith(
+      "[pre-vhs] .prevhsrc.json: warning: Unknown config key 'pakcs' (config-unknown-key)",
+    );
+    mockError.mockRestore();
+  });
+
+  it("loads ad-hoc packs with options from flags", () => {
+    fs.copyFileSync(
+      path.resolve(__dirname, "fixtures", "pack.fixture.js"),
+      path.join(tmpDir, "fixture.js"),
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Use FixtureEcho\n\n> FixtureEcho $1\nhi",
+    );
+
+    process.chdir(tmpDir);
+    run(
+      parseArgs([
+        "node",
+        "pre-vhs",
+        "--pack",
+        "./fixture.js",
+        "--pack-option",
+        "./fixture.js.suffix=!",
+        "demo",
+      ]),
+    );
+
+    expect(fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8")).toBe(
+      "Type `fixture! hi`",
+    );
+  });
+
+  it("prints an expansion trace for explain without writing output", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Run = Type $1, Enter\n\n> Run $1\nls",
+    );
+    const mockWrite = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+
+    process.chdir(tmpDir);
+    run({ command: "explain", inputPath: "demo.tape.pre", help: false });
+
+    const printed = mockWrite.mock.calls.map((c) => c[0]).join("");
+    expect(printed).toContain("line 3: > Run $1");
+    expect(printed).toContain("Run  [Run]  <- Run ls");
+    expect(fs.existsSync(path.join(tmpDir, "demo.tape"))).toBe(false);
+
+    mockWrite.mockRestore();
+  });
+
+  it("lists macros from the header with their sources", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Pack builtins\nUse TypeEnter Missing\nGreet = Type hi\n\n> Greet",
+    );
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    const macros = run({
+      command: "macros",
+      inputPath: "demo.tape.pre",
+      help: false,
+    });
+
+    expect(macros.map((m) => m.name)).toContain("TypeEnter");
+    const printed = mockLog.mock.calls[0][0];
+    expect(printed).toMatch(/TypeEnter\s+yes\s+yes\s+pack builtins/);
+    expect(printed).toMatch(/Greet\s+no\s+yes\s+header line 3/);
+    expect(printed).toContain("Use names with no registered macro: Missing");
+    expect(fs.existsSync(path.join(tmpDir, "demo.tape"))).toBe(false);
+
+    mockLog.mockRestore();
+  });
+
+  describe("--run", () => {
+    function writeStub(exitCode) {
+      const stubPath = path.join(tmpDir, "vhs-stub");
+      fs.writeFileSync(
+        stubPath,
+        `#!/bin/sh\ncp "$1" "${tmpDir}/rendered.tape"\nexit ${exitCode}\n`,
+      );
+      fs.chmodSync(stubPath, 0o755);
+      return stubPath;
+    }
+
+    it("compiles, then runs VHS on the output", () => {
+      fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+      process.chdir(tmpDir);
+
+      const status = run({
+        inputPath: "demo.tape.pre",
+        outputPath: "demo.tape",
+        run: true,
+        vhsBin: writeStub(0),
+        help: false,
+      });
+
+      expect(status).toBe(0);
+      expect(
+        fs.readFileSync(path.join(tmpDir, "rendered.tape"), "utf8"),
+      ).toContain("Type `hi`");
+      expect(fs.existsSync(path.join(tmpDir, "demo.tape"))).toBe(true);
+    });
+
+    it("exits with VHS's exit code when it fails", () => {
+      fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      process.chdir(tmpDir);
+
+      expect(() =>
+        run({
+          inputPath: "demo.tape.pre",
+          outputPath: "demo.tape",
+          run: true,
+          vhsBin: writeStub(4),
+          help: false,
+        }),
+      ).toThrow("process.exit(4)");
+
+      mockExit.mockRestore();
+    });
+
+    it("reports a missing VHS binary", () => {
+      fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+      process.chdir(tmpDir);
+
+      expect(() =>
+        run({
+          inputPath: "demo.tape.pre",
+          outputPath: "demo.tape",
+          run: true,
+          vhsBin: path.join(tmpDir, "missing-vhs"),
+          help: false,
+        }),
+      ).toThrow("process.exit(1)");
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining("missing-vhs: not found"),
+      );
+
+      mockExit.mockRestore();
+      mockError.mockRestore();
+    });
+
+    it("rejects --run with --watch", () => {
+      const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      expect(() =>
+        run({
+          inputPath: "demo.tape.pre",
+          outputPath: "demo.tape",
+          run: true,
+          watch: true,
+          help: false,
+        }),
+      ).toThrow("process.exit(1)");
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining("--run only applies"),
+      );
+
+      mockExit.mockRestore();
+      mockError.mockRestore();
+    });
+  });
+
+  it("fails clearly when a tape reaches an async macro", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "later.js"),
+      'module.exports = (engine) => engine.registerMacros({ Later: async () => ["Sleep 1s"] }, { requireUse: false });',
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Pack ./later.js\n\n> Later",
+    );
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({ inputPath: "demo.tape.pre", outputPath: "demo.tape", help: false }),
+    ).toThrow(/the pre-vhs CLI compiles synchronously/);
+    expect(fs.existsSync(path.join(tmpDir, "demo.tape"))).toBe(false);
+  });
+
+  it("prints diagnostics with the file name and exits 1 on errors", () => {
+    const fixture = path.join(__dirname, "fixtures", "report.fixture.js");
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      `Pack ${fixture}\n\n> Fail $1\nboom\n> Type $1\nok`,
+    );
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({ inputPath: "demo.tape.pre", outputPath: "demo.tape", help: false }),
+    ).toThrow("process.exit(1)");
+
+    expect(mockError).toHaveBeenCalledWith(
+      "[pre-vhs] demo.tape.pre:3:1: error: failed on 'boom' (fixture/fail)\n  → > Fail $1",
+    );
+    expect(mockError).toHaveBeenCalledWith("[pre-vhs] Compiled with 1 error");
+    expect(fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8")).toBe(
+      "Type `ok`",
+    );
+
+    mockError.mockRestore();
+    mockExit.mockRestore();
+  });
+
+  it("writes a source map and looks up output lines", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Run = Type $1, Enter\n\nOutput demo.gif\n> Run $1\nls",
+    );
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      sourceMap: true,
+      help: false,
+    });
+    expect(fs.existsSync(path.join(tmpDir, "demo.tape.map"))).toBe(true);
+
+    const origin = run({
+      command: "lookup",
+      inputPath: "demo.tape",
+      lookupLine: 3,
+      help: false,
+    });
+
+    expect(origin).toEqual({ line: 4, stack: ["Run"] });
+    expect(mockLog).toHaveBeenCalledWith(
+      "demo.tape:3 ← demo.tape.pre:4 (via Run)\n  4 | > Run $1",
+    );
+    mockLog.mockRestore();
+  });
+
+  it("scaffolds a tape with init and refuses to overwrite it", () => {
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+
+    process.chdir(tmpDir);
+    const written = run({ command: "init", inputPath: "intro", help: false });
+
+    expect(written).toEqual([
+      path.join(fs.realpathSync(tmpDir), "intro.tape.pre"),
+    ]);
+    expect(mockLog).toHaveBeenCalledWith("  created  intro.tape.pre");
+    expect(() =>
+      run({ command: "init", inputPath: "intro", help: false }),
+    ).toThrow("process.exit(1)");
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("Refusing to overwrite"),
+    );
+
+    mockLog.mockRestore();
+    mockError.mockRestore();
+    mockExit.mockRestore();
+  });
+
+  it("writes the trace to stderr with --trace", () => {
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+    const mockStderr = vi
+      .spyOn(process.stderr, "write")
+      .mockImplementation(() => true);
+
+    process.chdir(tmpDir);
+    run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      help: false,
+      trace: true,
+    });
+
+    const printed = mockStderr.mock.calls.map((c) => c[0]).join("");
+    expect(printed).toContain("line 1: > Type $1");
+    expect(fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8")).toBe(
+      "Type `hi`",
+    );
+
+    mockStderr.mockRestore();
+  });
+
+  it("passes check mode when the output is up to date", () => {
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+    fs.writeFileSync(path.join(tmpDir, "demo.tape"), "Type `hi`\n");
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    const ok = run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      help: false,
+      check: true,
+    });
+
+    expect(ok).toBe(true);
+    expect(mockLog).toHaveBeenCalledWith("[pre-vhs] demo.tape is up to date");
+
+    mockLog.mockRestore();
+  });
+
+  it("ignores CRLF line endings in check mode", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "> Type $1\nhi\nSleep 1s",
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape"),
+      "Type `hi`\r\nSleep 1s\r\n",
+    );
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    const ok = run({
+      inputPath: "demo.tape.pre",
+      outputPath: "demo.tape",
+      help: false,
+      check: true,
+    });
+
+    expect(ok).toBe(true);
+    mockLog.mockRestore();
+  });
+
+  it("prints a diff and exits 1 in check mode on drift", () => {
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nnew");
+    fs.writeFileSync(path.join(tmpDir, "demo.tape"), "Type `old`\n");
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const mockWrite = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({
+        inputPath: "demo.tape.pre",
+        outputPath: "demo.tape",
+        help: false,
+        check: true,
+      }),
+    ).toThrow("process.exit(1)");
+
+    const diff = mockWrite.mock.calls.map((c) => c[0]).join("");
+    expect(diff).toContain("-Type `old`");
+    expect(diff).toContain("+Type `new`");
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("out of date"),
+    );
+    expect(fs.readFileSync(path.join(tmpDir, "demo.tape"), "utf8")).toBe(
+      "Type `old`\n",
+    );
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+    mockWrite.mockRestore();
+  });
+
+  it("treats a missing output as drift in check mode", () => {
+    fs.writeFileSync(path.join(tmpDir, "demo.tape.pre"), "> Type $1\nhi");
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const mockWrite = vi
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({
+        inputPath: "demo.tape.pre",
+        outputPath: "demo.tape",
+        help: false,
+        check: true,
+      }),
+    ).toThrow("process.exit(1)");
+
+    expect(mockWrite).toHaveBeenCalledWith(
+      expect.stringContaining("demo.tape (missing)"),
+    );
+    expect(fs.existsSync(path.join(tmpDir, "demo.tape"))).toBe(false);
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+    mockWrite.mockRestore();
+  });
+
+  it("builds matched files and prints a summary", () => {
+    fs.mkdirSync(path.join(tmpDir, "tapes"));
+    fs.writeFileSync(path.join(tmpDir, "tapes", "a.tape.pre"), "> Type $1\na");
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    const results = run({
+      command: "build",
+      patterns: ["tapes/*.tape.pre"],
+      outDir: "dist",
+      help: false,
+    });
+
+    expect(results).toHaveLength(1);
+    expect(fs.readFileSync(path.join(tmpDir, "dist", "a.tape"), "utf8")).toBe(
+      "Type `a`",
+    );
+    expect(mockLog).toHaveBeenCalledWith("[pre-vhs] Built 1 of 1 file");
+
+    mockLog.mockRestore();
+  });
+
+  it("exits non-zero when a build fails", () => {
+    fs.writeFileSync(path.join(tmpDir, "bad.tape.pre"), "A = B\nB = A\n\n> A");
+    fs.writeFileSync(path.join(tmpDir, "ok.tape.pre"), "> Type $1\nok");
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({ command: "build", patterns: ["*.tape.pre"], help: false }),
+    ).toThrow("process.exit(1)");
+
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("bad.tape.pre"),
+    );
+    expect(mockLog).toHaveBeenCalledWith(
+      "[pre-vhs] Built 1 of 2 files, 1 failed",
+    );
+    expect(fs.existsSync(path.join(tmpDir, "ok.tape"))).toBe(true);
+
+    mockExit.mockRestore();
+    mockLog.mockRestore();
+    mockError.mockRestore();
+  });
+
+  it("labels build failures inside an included file with that file", () => {
+    fs.mkdirSync(path.join(tmpDir, "scenes"));
+    fs.writeFileSync(
+      path.join(tmpDir, "scenes", "loop.tape.pre"),
+      "A = B\nB = A\n\nSleep 1s\n> A",
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "demo.tape.pre"),
+      "Sleep 1s\nSleep 2s\nInclude scenes/loop.tape.pre",
+    );
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockLog = vi.spyOn(console, "log").mockImplementation(() => {});
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({ command: "build", patterns: ["demo.tape.pre"], help: false }),
+    ).toThrow("process.exit(1)");
+
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^ {2}fail {2}demo\.tape\.pre: scenes\/loop\.tape\.pre:5:\d+: /,
+      ),
+    );
+
+    mockExit.mockRestore();
+    mockLog.mockRestore();
+    mockError.mockRestore();
+  });
+
+  it("exits non-zero when no files match", () => {
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    process.chdir(tmpDir);
+    expect(() =>
+      run({ command: "build", patterns: ["*.tape.pre"], help: false }),
+    ).toThrow("process.exit(1)");
+    expect(mockError).toHaveBeenCalledWith(
+      expect.stringContaining("No files matched"),
+    );
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+  });
+
   it("processes stdin/stdout mode when no paths provided", () => {
     const inputContent = `> Type $1\nhi`;
     const originalReadFileSync = fs.readFileSync;
@@ -326,6 +1285,31 @@ describe("main", () => {
     mockError.mockRestore();
   });
 
+  it("prints compile errors with location and code frame", () => {
+    const mockExit = vi.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`process.exit(${code})`);
+    });
+    const mockError = vi.spyOn(console, "error").mockImplementation(() => {});
+    fs.writeFileSync(path.join(tmpDir, "loop.tape.pre"), "A = B\nB = A\n\n> A");
+
+    process.chdir(tmpDir);
+    process.argv = ["node", "pre-vhs", "loop"];
+
+    expect(() => main()).toThrow("process.exit(1)");
+    expect(mockError).toHaveBeenCalledWith(
+      [
+        "[pre-vhs] loop.tape.pre:4:3: error: Macro recursion detected: A -> B -> A (macro-recursion)",
+        "  macro stack: A -> B -> A",
+        "  3 |",
+        "> 4 | > A",
+        "    |   ^",
+      ].join("\n"),
+    );
+
+    mockExit.mockRestore();
+    mockError.mockRestore();
+  });
+
   it("processes files successfully via main()", () => {
     const inputContent = `> Type $1
 echo test`;
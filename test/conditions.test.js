@@ -0,0 +1,68 @@
+/**
+ * Tests for `> If` condition expressions.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { evaluateCondition } from "../src/conditions.js";
+
+const values = {
+  FAST: "1",
+  EMPTY: "",
+  OFF: "false",
+  mode: "long",
+  "env.CI": "true",
+  "probe.matched": false,
+};
+const resolve = (name) => values[name];
+const check = (text) => evaluateCondition(text, resolve);
+
+describe("evaluateCondition", () => {
+  it("tests whether names are defined", () => {
+    expect(check("defined(FAST)")).toBe(true);
+    expect(check("defined(EMPTY)")).toBe(true);
+    expect(check("defined(SLOW)")).toBe(false);
+  });
+
+  it("treats unset, empty, 0 and false values as false", () => {
+    expect(check("FAST")).toBe(true);
+    expect(check("EMPTY")).toBe(false);
+    expect(check("OFF")).toBe(false);
+    expect(check("SLOW")).toBe(false);
+    expect(check("probe.matched")).toBe(false);
+    expect(check("0")).toBe(false);
+  });
+
+  it("compares values as strings", () => {
+    expect(check('env.CI == "true"')).toBe(true);
+    expect(check("mode != 'long'")).toBe(false);
+    expect(check('SLOW == ""')).toBe(true);
+    expect(check("FAST == 1")).toBe(true);
+    expect(check('"say \\"hi\\"" == "say \\"hi\\""')).toBe(true);
+  });
+
+  it("combines conditions with !, && and || and parentheses", () => {
+    expect(check("!probe.matched && defined(FAST)")).toBe(true);
+    expect(check('SLOW || mode == "long"')).toBe(true);
+    expect(check("!(FAST || SLOW)")).toBe(false);
+    expect(check("SLOW && FAST || FAST")).toBe(true);
+    expect(check("SLOW && (FAST || FAST)")).toBe(false);
+  });
+
+  it("applies ! before comparing", () => {
+    expect(check('!mode == "x"')).toBe(false);
+    expect(check('!mode == "false"')).toBe(true);
+    expect(check('!SLOW == "true"')).toBe(true);
+    expect(check('!(mode == "x")')).toBe(true);
+    expect(check("!!FAST")).toBe(true);
+  });
+
+  it("rejects malformed conditions", () => {
+    expect(() => check("")).toThrow("Expected a condition");
+    expect(() => check("FAST ==")).toThrow("Expected a value in condition");
+    expect(() => check("(FAST")).toThrow("Expected ')' in condition");
+    expect(() => check("FAST SLOW")).toThrow("Unexpected 'SLOW' in condition");
+    expect(() => check("FAST = 1")).toThrow("Unexpected '=' in condition");
+    expect(() => check("defined()")).toThrow("defined() takes a name");
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Tests for project configuration (src/config.js).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import {
+  findConfigFile,
+  loadConfig,
+  applyOverrides,
+  createEngineFromConfig,
+} from "../src/config.js";
+import { formatType } from "../src/index.js";
+
+const fixturePack = path.resolve(__dirname, "fixtures", "pack.fixture.js");
+
+describe("config", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-config-test-"));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeJson(file, value) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value));
+  }
+
+  describe("findConfigFile", () => {
+    it("finds the nearest config walking upward", () => {
+      const rootConfig = path.join(tmpDir, ".prevhsrc.json");
+      writeJson(rootConfig, {});
+      const nested = path.join(tmpDir, "tapes", "scenes");
+      fs.mkdirSync(nested, { recursive: true });
+
+      expect(findConfigFile(nested)).toBe(rootConfig);
+
+      const closer = path.join(tmpDir, "tapes", "pre-vhs.config.js");
+      fs.writeFileSync(closer, "module.exports = {};");
+      expect(findConfigFile(nested)).toBe(closer);
+    });
+
+    it("prefers pre-vhs.config.js over .prevhsrc.json in one directory", () => {
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {});
+      const jsConfig = path.join(tmpDir, "pre-vhs.config.js");
+      fs.writeFileSync(jsConfig, "module.exports = {};");
+
+      expect(findConfigFile(tmpDir)).toBe(jsConfig);
+    });
+  });
+
+  describe("loadConfig", () => {
+    it("normalizes engine options and packs", () => {
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {
+        engine: { headerValidation: "error", maxExpansionSteps: 50 },
+        packs: ["builtins", { module: "./local.js", autoUse: true }],
+      });
+
+      const config = loadConfig({ startDir: tmpDir });
+
+      expect(config.baseDir).toBe(tmpDir);
+      expect(config.engineOptions).toEqual({
+        headerValidation: "error",
+        maxExpansionSteps: 50,
+      });
+      expect(config.packs).toHaveLength(2);
+    });
+
+    it("loads an explicit config path", () => {
+      const file = path.join(tmpDir, "custom.config.js");
+      fs.writeFileSync(
+        file,
+        "module.exports = { engine: { maxExpansionDepth: 4 } };",
+      );
+
+      const config = loadConfig({ configPath: file });
+      expect(config.engineOptions).toEqual({ maxExpansionDepth: 4 });
+    });
+
+    it("throws for a missing explicit config", () => {
+      expect(() =>
+        loadConfig({ configPath: path.join(tmpDir, "nope.json") }),
+      ).toThrow(/Config file not found/);
+    });
+
+    it("throws on invalid option values", () => {
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {
+        engine: { headerValidation: "loud" },
+      });
+      expect(() => loadConfig({ startDir: tmpDir })).toThrow(
+        /engine.headerValidation/,
+      );
+
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), { packs: "builtins" });
+      expect(() => loadConfig({ startDir: tmpDir })).toThrow(/packs must be/);
+    });
+
+    it("throws on malformed JSON", () => {
+      fs.writeFileSync(path.join(tmpDir, ".prevhsrc.json"), "{ nope");
+      expect(() => loadConfig({ startDir: tmpDir })).toThrow(/Invalid config/);
+    });
+
+    it("collects unknown keys as diagnostics instead of printing them", () => {
+      const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {
+        pakcs: [],
+        engine: { maxSteps: 1 },
+      });
+
+      const config = loadConfig({ startDir: tmpDir });
+
+      expect(warnSpy).not.toHaveBeenCalled();
+      expect(config.diagnostics).toEqual([
+        expect.objectContaining({
+          severity: "warning",
+          code: "config-unknown-key",
+          message: "Unknown config key 'pakcs'",
+        }),
+        expect.objectContaining({
+          severity: "warning",
+          code: "config-unknown-option",
+          message: "Unknown engine option 'maxSteps'",
+        }),
+      ]);
+    });
+  });
+
+  describe("createEngineFromConfig", () => {
+    it("creates a default engine without a config", () => {
+      const engine = createEngineFromConfig(null);
+      expect(engine.processText("> Type $1\nhi")).toBe(formatType("hi"));
+    });
+
+    it("loads config packs with options relative to the config file", () => {
+      fs.copyFileSync(fixturePack, path.join(tmpDir, "fixture.js"));
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {
+        packs: [
+          { module: "./fixture.js", options: { suffix: "!" }, autoUse: true },
+        ],
+      });
+
+      const engine = createEngineFromConfig(loadConfig({ startDir: tmpDir }));
+
+      expect(engine.processText("> FixtureEcho $1\nhi")).toBe(
+        formatType("fixture! hi"),
+      );
+    });
+
+    it("reports config diagnostics through onDiagnostic", () => {
+      const configPath = path.join(tmpDir, ".prevhsrc.json");
+      writeJson(configPath, { pakcs: [] });
+      const seen = [];
+
+      const engine = createEngineFromConfig(loadConfig({ startDir: tmpDir }), {
+        onDiagnostic: (d) => seen.push(d),
+      });
+
+      expect(seen).toEqual([
+        {
+          severity: "warning",
+          code: "config-unknown-key",
+          message: "Unknown config key 'pakcs'",
+          file: path.relative(process.cwd(), configPath),
+        },
+      ]);
+      expect(engine.compile("Type hi").diagnostics).toEqual(seen);
+    });
+
+    it("applies engine options", () => {
+      writeJson(path.join(tmpDir, ".prevhsrc.json"), {
+        engine: { maxExpansionSteps: 1 },
+      });
+      const engine = createEngineFromConfig(loadConfig({ startDir: tmpDir }));
+
+      expect(() => engine.processText("A = Type a\n\n> A")).toThrow(/steps/);
+    });
+  });
+
+  describe("applyOverrides", () => {
+    it("returns the config untouched without overrides", () => {
+      expect(applyOverrides(null, {})).toBeNull();
+      const config = {
+        path: "x",
+        baseDir: tmpDir,
+        engineOptions: {},
+        packs: [],
+      };
+      expect(applyOverrides(config, { engineOptions: {}, packs: [] })).toBe(
+        config,
+      );
+    });
+
+    it("overrides engine options from the config", () => {
+      const merged = applyOverrides(
+        {
+          path: "x",
+          baseDir: tmpDir,
+          engineOptions: { maxExpansionSteps: 10, headerValidation: "warn" },
+          packs: [],
+        },
+        { engineOptions: { maxExpansionSteps: 99 } },
+      );
+
+      expect(merged.engineOptions).toEqual({
+        maxExpansionSteps: 99,
+        headerValidation: "warn",
+      });
+    });
+
+    it("merges defines name by name", () => {
+      const merged = applyOverrides(
+        {
+          path: "x",
+          baseDir: tmpDir,
+          engineOptions: { defines: { A: "1", B: "2" } },
+          packs: [],
+        },
+        { engineOptions: { defines: { B: "3" } } },
+      );
+
+      expect(merged.engineOptions.defines).toEqual({ A: "1", B: "3" });
+    });
+
+    it("adds packs and merges options into packs the config already loads", () => {
+      const merged = applyOverrides(
+        {
+          path: "x",
+          baseDir: tmpDir,
+          engineOptions: {},
+          packs: [{ module: "./fixture.js", options: { a: 1 } }],
+        },
+        {
+          packs: ["builtins"],
+          packOptions: [
+            { pack: path.join(tmpDir, "fixture.js"), key: "b", value: 2 },
+            { pack: "typingStyles", key: "defaultStyle", value: "human" },
+          ],
+        },
+        tmpDir,
+      );
+
+      expect(merged.packs).toHaveLength(3);
+      expect(merged.packs[0]).toEqual({
+        module: path.join(tmpDir, "fixture.js"),
+        options: { a: 1, b: 2 },
+      });
+      expect(merged.packs[1].module).toMatch(/builtins\.js$/);
+      expect(merged.packs[2].module).toMatch(/typingStyles\.js$/);
+      expect(merged.packs[2].options).toEqual({ defaultStyle: "human" });
+    });
+
+    it("builds a config from overrides alone", () => {
+      fs.copyFileSync(fixturePack, path.join(tmpDir, "fixture.js"));
+      const merged = applyOverrides(
+        null,
+        {
+          packs: ["./fixture.js"],
+          packOptions: [{ pack: "./fixture.js", key: "suffix", value: "+" }],
+        },
+        tmpDir,
+      );
+      const engine = createEngineFromConfig(merged);
+
+      expect(
+        engine.processText("Use FixtureEcho\n\n> FixtureEcho $1\nhi"),
+      ).toBe(formatType("fixture+ hi"));
+    });
+  });
+});
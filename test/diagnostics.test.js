@@ -0,0 +1,165 @@
+/**
+ * Tests for structured diagnostics (src/diagnostics.js and engine reporting).
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import path from "path";
+
+import { createEngine } from "../src/index.js";
+import {
+  createDiagnostic,
+  formatDiagnostic,
+  countErrors,
+} from "../src/diagnostics.js";
+
+const reportFixture = path.join(__dirname, "fixtures", "report.fixture.js");
+
+function collectingEngine(options = {}) {
+  const seen = [];
+  const engine = createEngine({
+    ...options,
+    onDiagnostic: (d) => seen.push(d),
+  });
+  return { engine, seen };
+}
+
+describe("createDiagnostic", () => {
+  it("fills the snippet and column from the source line", () => {
+    expect(
+      createDiagnostic(
+        { severity: "error", code: "x", message: "bad", line: 2 },
+        ["one", "   two"],
+      ),
+    ).toEqual({
+      severity: "error",
+      code: "x",
+      message: "bad",
+      line: 2,
+      column: 4,
+      snippet: "   two",
+    });
+  });
+
+  it("defaults severity and code and omits unknown locations", () => {
+    expect(createDiagnostic({ message: "hmm", line: null })).toEqual({
+      severity: "warning",
+      code: "unknown",
+      message: "hmm",
+    });
+  });
+});
+
+describe("formatDiagnostic", () => {
+  const diagnostic = {
+    severity: "warning",
+    code: "vhs-collision",
+    message: "Collision",
+    line: 3,
+    column: 1,
+    snippet: "Sleep = Type zz",
+  };
+
+  it("prefixes file, line and column", () => {
+    expect(formatDiagnostic(diagnostic, { file: "demo.tape.pre" })).toBe(
+      "[pre-vhs] demo.tape.pre:3:1: warning: Collision (vhs-collision)\n  → Sleep = Type zz",
+    );
+  });
+
+  it("falls back to the line number without a file", () => {
+    expect(formatDiagnostic({ ...diagnostic, snippet: undefined })).toBe(
+      "[pre-vhs] line 3: warning: Collision (vhs-collision)",
+    );
+  });
+
+  it("counts errors", () => {
+    expect(
+      countErrors([diagnostic, { ...diagnostic, severity: "error" }]),
+    ).toBe(1);
+  });
+});
+
+describe("engine diagnostics", () => {
+  it("routes collisions and header issues to onDiagnostic instead of console", () => {
+    const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { engine, seen } = collectingEngine({ headerValidation: "warn" });
+
+    engine.processText("Use\nSleep = Type zz\nOutput demo.gif");
+
+    expect(warnSpy).not.toHaveBeenCalled();
+    expect(seen).toEqual([
+      {
+        severity: "warning",
+        code: "empty-use",
+        message: "'Use' requires at least one macro name",
+        line: 1,
+        column: 1,
+        snippet: "Use",
+      },
+      {
+        severity: "warning",
+        code: "vhs-collision",
+        message:
+          "Collision detected between custom macro 'Sleep' and VHS command",
+        line: 2,
+        column: 1,
+        snippet: "Sleep = Type zz",
+      },
+    ]);
+    warnSpy.mockRestore();
+  });
+
+  it("keeps setup diagnostics and resets compile diagnostics per compile", () => {
+    const { engine } = collectingEngine();
+    engine.registerMacros({ Foo: () => [] });
+    engine.registerMacros({ Foo: () => [] });
+
+    engine.processText("Sleep = Type zz\n\n> Sleep");
+    expect(engine.getDiagnostics().map((d) => d.code)).toEqual([
+      "duplicate-macro",
+      "vhs-collision",
+    ]);
+
+    engine.processText("Type hi");
+    expect(engine.getDiagnostics().map((d) => d.code)).toEqual([
+      "duplicate-macro",
+    ]);
+  });
+
+  it("lets packs report with the directive's line", () => {
+    const { engine, seen } = collectingEngine();
+
+    engine.processText(`Pack ${reportFixture}\n\n> Fail $1\nboom`);
+
+    expect(seen).toEqual([
+      {
+        severity: "error",
+        code: "fixture/fail",
+        message: "failed on 'boom'",
+        line: 3,
+        column: 1,
+        snippet: "> Fail $1",
+      },
+    ]);
+  });
+
+  it("reports probe and typing style problems", () => {
+    const { engine, seen } = collectingEngine();
+
+    engine.processText(
+      [
+        "Pack probe",
+        "Pack typingStyles",
+        "Use Probe",
+        "",
+        "> Probe /(/ $1",
+        "true",
+        "> Apply TypingStyle fancy",
+      ].join("\n"),
+    );
+
+    expect(seen.map((d) => [d.code, d.line])).toEqual([
+      ["probe/invalid-pattern", 5],
+      ["typingStyles/unknown-style", 7],
+    ]);
+  });
+});
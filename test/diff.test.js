@@ -0,0 +1,73 @@
+/**
+ * Tests for the line diff helpers (src/diff.js).
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { diffLines, unifiedDiff } from "../src/diff.js";
+
+describe("diffLines", () => {
+  it("marks every line as unchanged for equal input", () => {
+    expect(diffLines(["a", "b"], ["a", "b"])).toEqual([
+      { type: " ", line: "a" },
+      { type: " ", line: "b" },
+    ]);
+  });
+
+  it("reports removals before additions for a replaced line", () => {
+    expect(diffLines(["a", "b", "c"], ["a", "x", "c"])).toEqual([
+      { type: " ", line: "a" },
+      { type: "-", line: "b" },
+      { type: "+", line: "x" },
+      { type: " ", line: "c" },
+    ]);
+  });
+
+  it("handles pure insertions and deletions", () => {
+    expect(diffLines([], ["a"])).toEqual([{ type: "+", line: "a" }]);
+    expect(diffLines(["a"], [])).toEqual([{ type: "-", line: "a" }]);
+  });
+});
+
+describe("unifiedDiff", () => {
+  it("returns an empty string for equal texts", () => {
+    expect(unifiedDiff("a\nb", "a\nb")).toBe("");
+  });
+
+  it("renders a single hunk with context", () => {
+    const diff = unifiedDiff("1\n2\n3\n4\n5", "1\n2\nthree\n4\n5", {
+      fromFile: "demo.tape",
+      toFile: "demo.tape (compiled)",
+      context: 1,
+    });
+
+    expect(diff).toBe(
+      [
+        "--- demo.tape",
+        "+++ demo.tape (compiled)",
+        "@@ -2,3 +2,3 @@",
+        " 2",
+        "-3",
+        "+three",
+        " 4",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("splits distant changes into separate hunks", () => {
+    const oldText = ["a", "1", "2", "3", "4", "5", "6", "7", "b"].join("\n");
+    const newText = ["A", "1", "2", "3", "4", "5", "6", "7", "B"].join("\n");
+
+    const diff = unifiedDiff(oldText, newText, { context: 1 });
+    const headers = diff.split("\n").filter((l) => l.startsWith("@@"));
+
+    expect(headers).toEqual(["@@ -1,2 +1,2 @@", "@@ -8,2 +8,2 @@"]);
+  });
+
+  it("uses a zero-length range when one side is empty", () => {
+    const diff = unifiedDiff("", "new line");
+    expect(diff).toContain("@@ -0,0 +1 @@");
+    expect(diff).toContain("+new line");
+  });
+});
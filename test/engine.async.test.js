@@ -0,0 +1,149 @@
+/**
+ * Tests for processTextAsync: macros and transforms that return promises.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  createEngine,
+  processText,
+  processTextAsync,
+  compileAsync,
+  formatType,
+} from "../src/index.js";
+
+const later = (value) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), 0));
+
+describe("processTextAsync", () => {
+  it("awaits async macros and expands what they return", async () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      {
+        Fetch: async (payload) => later([`Greet ${payload}`, "Enter"]),
+        Greet: (payload) => [`Type hello ${payload}`],
+      },
+      { requireUse: false },
+    );
+
+    const out = await engine.processTextAsync("> Fetch $1\nworld");
+    expect(out.split("\n")).toEqual([formatType("hello world"), "Enter"]);
+  });
+
+  it("awaits async transforms in every phase", async () => {
+    const engine = createEngine();
+    engine.registerTransform("header", (cmds) => later([...cmds, "Enter"]));
+    engine.registerTransform("preExpandToken", (cmd) =>
+      later(cmd.replace("Hide", "Show")),
+    );
+    engine.registerTransform("postExpand", (line) => later(line));
+    engine.registerTransform("finalize", (lines) =>
+      later([...lines, "Sleep 1s"]),
+    );
+
+    const out = await engine.processTextAsync("> Hide\nOutput demo.gif");
+    expect(out.split("\n")).toEqual([
+      "Show",
+      "Enter",
+      "Output demo.gif",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("gives sync-only input the same output as processText", async () => {
+    const input = [
+      "Pack builtins",
+      "Use TypeEnter",
+      "Run = TypeEnter $1, Sleep 1s",
+      "",
+      "> Apply Gap 200ms, Run $1",
+      "ls",
+      "Sleep 2s",
+    ].join("\n");
+
+    expect(await processTextAsync(input)).toBe(processText(input));
+  });
+
+  it("reports rejected macros with their location", async () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      { Boom: async () => Promise.reject(new Error("service down")) },
+      { requireUse: false },
+    );
+
+    await expect(
+      engine.processTextAsync("Output demo.gif\n> Boom", {
+        filename: "demo.tape.pre",
+      }),
+    ).rejects.toMatchObject({
+      name: "PreVhsError",
+      code: "macro-error",
+      message: "Macro 'Boom' failed: service down",
+      file: "demo.tape.pre",
+      line: 2,
+    });
+  });
+
+  it("runs concurrent compiles on one engine one after another", async () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      { Wait: async () => later(["Sleep 1s"]) },
+      { requireUse: false },
+    );
+
+    const [first, second] = await Promise.all([
+      engine.processTextAsync("A = Wait, Type a\n\n> A"),
+      engine.processTextAsync("> A"),
+    ]);
+    expect(first.split("\n")).toEqual(["Sleep 1s", formatType("a")]);
+    expect(second).toBe("A");
+  });
+
+  it("refuses a sync compile while an async one is running", async () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      { Wait: async () => later(["Sleep 1s"]) },
+      { requireUse: false },
+    );
+
+    const pending = engine.processTextAsync("> Wait");
+    await later();
+    expect(() => engine.processText("> Wait")).toThrow(/already compiling/);
+    expect(await pending).toBe("Sleep 1s");
+  });
+
+  it("compileAsync returns the compile() result", async () => {
+    const result = await compileAsync("> Type $1\nls");
+    expect(result.output).toBe(formatType("ls"));
+    expect(result.macrosInvoked).toEqual(["Type"]);
+  });
+});
+
+describe("processText with async macros", () => {
+  it("throws instead of dropping the promise", () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      { Fetch: async () => ["Type x"] },
+      { requireUse: false },
+    );
+
+    expect(() => engine.processText("Output demo.gif\n> Fetch")).toThrow(
+      expect.objectContaining({
+        code: "macro-error",
+        line: 2,
+        message: expect.stringMatching(
+          /^Macro 'Fetch' failed: returned a promise; .*processTextAsync/,
+        ),
+      }),
+    );
+  });
+
+  it("rejects async transforms", () => {
+    const engine = createEngine();
+    engine.registerTransform("postExpand", async (line) => line);
+
+    expect(() => engine.processText("Sleep 1s")).toThrow(
+      expect.objectContaining({ code: "transform-error", line: 1 }),
+    );
+  });
+});
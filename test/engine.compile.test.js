@@ -0,0 +1,81 @@
+/**
+ * Tests for compile(): output plus metadata.
+ */
+
+import { describe, it, expect } from "vitest";
+import path from "path";
+
+import { createEngine, compile, processText } from "../src/index.js";
+
+const fixturesDir = path.join(__dirname, "fixtures");
+
+describe("compile", () => {
+  it("returns output, macros, unused Use names and stats", () => {
+    const input = [
+      "Pack builtins",
+      "Use TypeEnter ClearLine Nope",
+      "Run = TypeEnter $1, Sleep 1s",
+      "",
+      "Output demo.gif",
+      "> Run $1",
+      "ls",
+    ].join("\n");
+
+    const result = compile(input);
+
+    expect(result.output).toBe(processText(input));
+    expect(result.macrosInvoked).toEqual(["Run", "TypeEnter", "Type"]);
+    expect(result.unusedUseNames).toEqual(["ClearLine", "Nope"]);
+    expect(result.stats).toEqual({ steps: 5, maxDepth: 3, outputLines: 4 });
+    expect(result.packs).toEqual([
+      path.join(__dirname, "..", "src", "packs", "builtins.js"),
+    ]);
+    expect(result.sourceMap).toHaveLength(4);
+    expect(result.diagnostics).toEqual([]);
+  });
+
+  it("includes diagnostics from the compile", () => {
+    const result = compile("Sleep = Type zz\n\n> Sleep", {
+      engineOptions: { onDiagnostic: () => {} },
+    });
+    expect(result.diagnostics.map((d) => d.code)).toEqual(["vhs-collision"]);
+  });
+
+  it("reports zero lines and depth for empty input", () => {
+    expect(compile("").stats).toEqual({
+      steps: 0,
+      maxDepth: 0,
+      outputLines: 0,
+    });
+  });
+
+  it("does not count the newline at the end of the output as a line", () => {
+    const result = compile("Sleep 1s\nSleep 2s\n");
+    expect(result.output).toBe("Sleep 1s\nSleep 2s\n");
+    expect(result.stats.outputLines).toBe(2);
+  });
+
+  it("resolves header packs from baseDir", () => {
+    const result = compile(
+      "Pack ./pack.fixture.js\nUse FixtureEcho\n\n> FixtureEcho hi",
+      {
+        baseDir: fixturesDir,
+      },
+    );
+    expect(result.output).toBe("Type `fixture hi`");
+    expect(result.packs).toEqual([path.join(fixturesDir, "pack.fixture.js")]);
+  });
+
+  it("passes the filename to errors", () => {
+    expect(() =>
+      compile("A = B\nB = A\n\n> A", { filename: "loop.tape.pre" }),
+    ).toThrow(expect.objectContaining({ file: "loop.tape.pre" }));
+  });
+
+  it("is available on engines, keeping processText's signature", () => {
+    const engine = createEngine();
+    expect(engine.compile("> Type $1\nhi").output).toBe(
+      engine.processText("> Type $1\nhi"),
+    );
+  });
+});
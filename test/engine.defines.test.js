@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import { createEngine, formatType } from "../src/index.js";
+
+describe("engine: compile-time defines", () => {
+  it("fills placeholders in directives, aliases, payloads and raw lines", () => {
+    const { processText } = createEngine({
+      defines: { VERSION: "2.3.1", TOOL: "acme" },
+    });
+    const input = [
+      "Install = Type npm i ${TOOL}@${VERSION}, Enter",
+      "",
+      "Output demo-${VERSION}.gif",
+      "> Install",
+      "> Type ${TOOL} --version, Enter",
+      "> Type $1",
+      "echo ${VERSION}",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      "Output demo-2.3.1.gif",
+      formatType("npm i acme@2.3.1"),
+      "Enter",
+      formatType("acme --version"),
+      "Enter",
+      formatType("echo 2.3.1"),
+    ]);
+  });
+
+  it("reads ${env.NAME} from the env option with fallbacks", () => {
+    const { processText } = createEngine({ env: { SHELL_NAME: "zsh" } });
+    const input = ["> Type $1", "${env.SHELL_NAME} ${env.THEME:-dark}"].join(
+      "\n",
+    );
+
+    expect(processText(input)).toBe(formatType("zsh dark"));
+  });
+
+  it("keeps $${NAME} literal in directives, aliases, payload and raw lines", () => {
+    const { processText } = createEngine({ defines: { VERSION: "2.3.1" } });
+    const input = [
+      "Ver = Type v$${VERSION}",
+      "",
+      "> Type $${VERSION}, Enter",
+      "> Ver",
+      "> Type $1",
+      "echo $${VERSION} $$",
+      "Type $${VERSION}",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("${VERSION}"),
+      "Enter",
+      formatType("v${VERSION}"),
+      formatType("echo ${VERSION} $$"),
+      "Type ${VERSION}",
+    ]);
+  });
+
+  it("leaves shell parameter expansion in payload and raw lines alone", () => {
+    const { processText } = createEngine({ defines: { EMPTY: "" } });
+    const input = [
+      "> Type $1",
+      "echo ${FOO:-bar} ${HOME} ${EMPTY:-set}",
+      "> Type $1 <<EOF",
+      'echo "${name:-world}"',
+      "EOF",
+      "Type ${FOO:-bar}",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("echo ${FOO:-bar} ${HOME} set"),
+      formatType('echo "${name:-world}"'),
+      "Type ${FOO:-bar}",
+    ]);
+  });
+
+  it("inserts values with dollars literally", () => {
+    const { processText } = createEngine({
+      defines: { CMD: "echo $1", PROMPT: "PS1=$ " },
+      env: { DIR: "$HOME/src" },
+    });
+    const input = [
+      "Prompt = Type ${PROMPT}, Enter",
+      "",
+      "> Type ${CMD}",
+      "foo",
+      "> Prompt",
+      "> Type cd ${env.DIR}",
+      "> Type $1",
+      "echo ${CMD}",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("echo $1"),
+      "foo",
+      formatType("PS1=$"),
+      "Enter",
+      formatType("cd $HOME/src"),
+      formatType("echo echo $1"),
+    ]);
+  });
+
+  it("leaves undefined placeholders untouched", () => {
+    const { processText } = createEngine();
+
+    expect(processText("> Type $1\necho ${HOME}")).toBe(
+      formatType("echo ${HOME}"),
+    );
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for `$$` and `\>` escapes, and for payload text that contains `$`.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, processText, formatType } from "../src/index.js";
+
+describe("literal dollars", () => {
+  it("keeps $n and $* from payload lines through aliases", () => {
+    const input = [
+      "Run = Type $1, Enter",
+      "",
+      "> Run $1",
+      "awk '{print $2}' $* file",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("awk '{print $2}' $* file"),
+      "Enter",
+    ]);
+  });
+
+  it("keeps $n from payload lines through pack macros", () => {
+    const input = [
+      "Pack builtins",
+      "Use TypeEnter",
+      "> TypeEnter $1",
+      "echo $1",
+    ];
+
+    expect(processText(input.join("\n")).split("\n")).toEqual([
+      formatType("echo $1"),
+      "Enter",
+    ]);
+  });
+
+  it("turns $$ in directives and aliases into a literal $", () => {
+    const input = [
+      "Cost = Type price $$1, Type $1",
+      "",
+      "> Cost $1",
+      "each",
+      "> Type echo $$HOME, Sleep 1s",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("price $1"),
+      formatType("each"),
+      formatType("echo $HOME"),
+      "Sleep 1s",
+    ]);
+  });
+
+  it("does not consume lines for escaped placeholders", () => {
+    const out = processText("> Type $$1\nSleep 1s");
+    expect(out.split("\n")).toEqual([formatType("$1"), "Sleep 1s"]);
+  });
+
+  it("passes unescaped text to macros", () => {
+    const calls = [];
+    const engine = createEngine();
+    engine.registerMacros(
+      {
+        Show(payload, rawCmd) {
+          calls.push([payload, rawCmd]);
+          return [];
+        },
+      },
+      { requireUse: false },
+    );
+
+    engine.processText("> Show $$1 and $$$$\n> Show $1\n$2");
+    expect(calls).toEqual([
+      ["$1 and $$", "Show $1 and $$"],
+      ["$2", "Show $2"],
+    ]);
+  });
+
+  it("keeps EachLine placeholders in alias bodies", () => {
+    const input = [
+      "Pack builtins",
+      "Use EachLine",
+      "Each = EachLine Type $1, Enter",
+      "",
+      "> Each $*",
+      "echo $1",
+      "echo $$",
+    ].join("\n");
+
+    expect(processText(input).split("\n")).toEqual([
+      formatType("echo $1"),
+      "Enter",
+      formatType("echo $$"),
+      "Enter",
+    ]);
+  });
+
+  it("leaves raw VHS lines alone", () => {
+    expect(processText('Type "$$1"')).toBe('Type "$$1"');
+  });
+});
+
+describe("literal '>' lines", () => {
+  it("emits \\> at line start as a raw > line", () => {
+    const input = ["\\> not a directive", "  \\>indented", "> Sleep 1s"];
+    expect(processText(input.join("\n")).split("\n")).toEqual([
+      "> not a directive",
+      "  >indented",
+      "Sleep 1s",
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for `<<END` argument blocks, which may contain blank lines.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, formatType } from "../src/index.js";
+
+describe("<<END argument blocks", () => {
+  it("keeps blank lines in a $* block up to the delimiter", () => {
+    const engine = createEngine();
+    const input = [
+      "> Type $* <<END",
+      "def main():",
+      "",
+      "    pass",
+      "END",
+      "Sleep 1s",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      ...formatType("def main():\n\n    pass").split("\n"),
+      "Sleep 1s",
+    ]);
+  });
+
+  it("presses Enter for blank lines with TypeAndEnter", () => {
+    const engine = createEngine();
+    const input = [
+      "Pack builtins",
+      "Use TypeAndEnter",
+      "> TypeAndEnter $* <<EOF",
+      "key: 1",
+      "",
+      "other: 2",
+      "EOF",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("key: 1"),
+      "Enter",
+      "Enter",
+      formatType("other: 2"),
+      "Enter",
+    ]);
+  });
+
+  it("types <<EOF as text on a directive without placeholders", () => {
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+    const input = [
+      "> Type cat <<EOF, Enter",
+      "> Type cat <<EOF",
+      "hello",
+      "EOF",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("cat <<EOF"),
+      "Enter",
+      formatType("cat <<EOF"),
+      "hello",
+      "EOF",
+    ]);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        severity: "info",
+        code: "literal-heredoc",
+        line: 2,
+        column: 12,
+      }),
+    ]);
+  });
+
+  it("gives each positional argument its own block", () => {
+    const engine = createEngine();
+    const input = [
+      "> Type $1, Enter, Type $2 <<END",
+      "one",
+      "",
+      "uno",
+      "END",
+      "two",
+      "END",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      ...formatType("one\n\nuno").split("\n"),
+      "Enter",
+      formatType("two"),
+    ]);
+  });
+
+  it("strips common indentation with <<~", () => {
+    const engine = createEngine();
+    const input = [
+      "> Type $* <<~END",
+      "    if true; then",
+      "      echo hi",
+      "",
+      "    fi",
+      "    END",
+    ].join("\n");
+
+    expect(engine.processText(input)).toBe(
+      formatType("if true; then\n  echo hi\n\nfi"),
+    );
+  });
+
+  it("passes blocks through header aliases", () => {
+    const engine = createEngine();
+    const input = ["Block = Type $*", "", "> Block <<END", "a", "", "b", "END"];
+
+    expect(engine.processText(input.join("\n"))).toBe(formatType("a\n\nb"));
+  });
+
+  it("reports errors across the block and its delimiter", () => {
+    const engine = createEngine();
+    engine.registerMacros(
+      {
+        Boom: () => {
+          throw new Error("nope");
+        },
+      },
+      { requireUse: false },
+    );
+
+    expect(() =>
+      engine.processText("> Boom $* <<END\na\n\nEND\nSleep 1s"),
+    ).toThrow(expect.objectContaining({ line: 1, endLine: 4 }));
+  });
+
+  it("warns and takes the rest of the file when the delimiter is missing", () => {
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+
+    expect(engine.processText("> Type $* <<END\na\n\nb")).toBe(
+      formatType("a\n\nb"),
+    );
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "unterminated-heredoc",
+        message: "Missing 'END' line to end the argument block",
+        line: 1,
+        column: 11,
+      }),
+    ]);
+  });
+
+  it("leaves quoted << text alone", () => {
+    const engine = createEngine();
+    expect(engine.processText('> Type "cat <<EOF"')).toBe(
+      formatType("cat <<EOF"),
+    );
+  });
+});
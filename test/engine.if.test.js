@@ -0,0 +1,154 @@
+/**
+ * Tests for If/Else/EndIf blocks in the body.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, formatType } from "../src/index.js";
+
+const tape = [
+  "Output demo.gif",
+  "> If defined(FAST)",
+  "Set TypingSpeed 10ms",
+  "> Else",
+  "> Type $1, Enter",
+  "echo slow",
+  "Sleep 2s",
+  "> EndIf",
+  "Hide",
+].join("\n");
+
+describe("If blocks", () => {
+  it("keeps the If branch when the condition holds", () => {
+    const engine = createEngine({ defines: { FAST: "1" } });
+    expect(engine.processText(tape).split("\n")).toEqual([
+      "Output demo.gif",
+      "Set TypingSpeed 10ms",
+      "Hide",
+    ]);
+  });
+
+  it("keeps the Else branch otherwise", () => {
+    const engine = createEngine();
+    expect(engine.processText(tape).split("\n")).toEqual([
+      "Output demo.gif",
+      formatType("echo slow"),
+      "Enter",
+      "Sleep 2s",
+      "Hide",
+    ]);
+  });
+
+  it("reads environment variables and Let values", () => {
+    const engine = createEngine({ env: { CI: "true" } });
+    const input = [
+      "> Let mode = short",
+      '> If env.CI == "true" && mode != "long"',
+      "Sleep 1s",
+      "> EndIf",
+      '> If env.CI != "true"',
+      "Sleep 2s",
+      "> EndIf",
+    ].join("\n");
+
+    expect(engine.processText(input)).toBe("Sleep 1s");
+  });
+
+  it("keeps a Let made inside a branch", () => {
+    const engine = createEngine();
+    const input = [
+      "> If defined(FAST)",
+      "> Let delay = 100ms",
+      "> Else",
+      "> Let delay = 1s",
+      "> EndIf",
+      "> Sleep ${delay}",
+    ].join("\n");
+
+    expect(engine.processText(input)).toBe("Sleep 1s");
+  });
+
+  it("nests with other blocks", () => {
+    const engine = createEngine({ defines: { LONG: "yes" } });
+    const input = [
+      "> Repeat 3",
+      "> If LONG",
+      '> If i == "2"',
+      "Sleep 2s",
+      "> Else",
+      "Sleep 1s",
+      "> EndIf",
+      "> EndIf",
+      "> EndRepeat",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      "Sleep 1s",
+      "Sleep 2s",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("maps output back to lines inside the branch", () => {
+    const engine = createEngine();
+    engine.processText(tape);
+    expect(engine.getSourceMap().map((entry) => entry.line)).toEqual([
+      1, 5, 5, 7, 9,
+    ]);
+  });
+
+  it("does not treat IfProbeMatched as If", () => {
+    const engine = createEngine();
+    expect(engine.processText("> IfProbeMatched")).toBe("IfProbeMatched");
+  });
+
+  it("reports invalid conditions with their line", () => {
+    const engine = createEngine();
+    expect(() =>
+      engine.processText("Hide\n> If FAST = 1\nShow\n> EndIf"),
+    ).toThrow(
+      expect.objectContaining({
+        code: "invalid-condition",
+        message: "Unexpected '=' in condition",
+        line: 2,
+      }),
+    );
+  });
+
+  it("reports unmatched and repeated markers", () => {
+    const engine = createEngine();
+    const cases = [
+      ["> If FAST\nHide", 1],
+      ["Hide\n> Else", 2],
+      ["> EndIf", 1],
+      ["> If FAST\n> Else\n> Else\n> EndIf", 3],
+    ];
+    for (const [input, line] of cases) {
+      expect(() => engine.processText(input)).toThrow(
+        expect.objectContaining({ code: "unmatched-block", line }),
+      );
+    }
+  });
+});
+
+describe("registerConditions", () => {
+  it("lets packs provide named values", () => {
+    const engine = createEngine();
+    let ready = true;
+    engine.registerConditions({ "service.ready": () => ready });
+    const input = "> If service.ready\nSleep 1s\n> EndIf";
+
+    expect(engine.processText(input)).toBe("Sleep 1s");
+    ready = false;
+    expect(engine.processText(input)).toBe("");
+  });
+
+  it("drops conditions a header pack registered after the compile", () => {
+    const engine = createEngine();
+    const input = "Pack probe\n\n> If defined(probe.matched)\nHide\n> EndIf";
+    expect(engine.processText(input)).toBe("Hide");
+    expect(
+      engine.processText("> If defined(probe.matched)\nHide\n> EndIf"),
+    ).toBe("");
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Tests for `Include`: compiling other .tape.pre files into the output.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { createEngine, formatType } from "../src/index.js";
+import { formatDiagnostic } from "../src/diagnostics.js";
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+describe("Include", () => {
+  let tmpDir;
+  let compile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-include-test-"));
+    compile = (engine, text) =>
+      engine.processText(text, { filename: "demo.tape.pre", baseDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("splices the included file's output in place", () => {
+    write(
+      path.join(tmpDir, "scenes", "install.tape.pre"),
+      ["Run = Type $1, Enter", "", "> Run $1", "npm install"].join("\n"),
+    );
+
+    const out = compile(
+      createEngine(),
+      ["Hide", "Include ./scenes/install.tape.pre", "Show"].join("\n"),
+    );
+    expect(out.split("\n")).toEqual([
+      "Hide",
+      formatType("npm install"),
+      "Enter",
+      "Show",
+    ]);
+  });
+
+  it("does not splice in the empty line after the file's final newline", () => {
+    write(path.join(tmpDir, "scene.tape.pre"), "Sleep 1s\n");
+
+    expect(compile(createEngine(), "Hide\nInclude scene.tape.pre\nShow")).toBe(
+      "Hide\nSleep 1s\nShow",
+    );
+  });
+
+  it("counts the included file's macros in compile stats", () => {
+    write(
+      path.join(tmpDir, "scene.tape.pre"),
+      ["Inner = Type $1", "Outer = Inner $1", "", "> Outer $1", "hi"].join(
+        "\n",
+      ),
+    );
+
+    const result = createEngine().compile(
+      "Run = Type $1\n\n> Run $1\nls\nInclude scene.tape.pre",
+      { filename: "demo.tape.pre", baseDir: tmpDir },
+    );
+    expect(result.macrosInvoked).toEqual(["Run", "Type", "Outer", "Inner"]);
+    expect(result.stats.maxDepth).toBe(3);
+    expect(result.stats.steps).toBeGreaterThan(
+      createEngine().compile("Run = Type $1\n\n> Run $1\nls").stats.steps,
+    );
+  });
+
+  it("lists the files it read, even when the compile fails", () => {
+    write(path.join(tmpDir, "lib.pre"), "Pause = Sleep 1s");
+    write(path.join(tmpDir, "scene.tape.pre"), "UseFile lib.pre\n\n> Pause");
+    const engine = createEngine();
+
+    const result = engine.compile("Include scene.tape.pre", {
+      filename: "demo.tape.pre",
+      baseDir: tmpDir,
+    });
+    expect(result.files).toEqual([
+      path.join(tmpDir, "scene.tape.pre"),
+      path.join(tmpDir, "lib.pre"),
+    ]);
+
+    expect(() => compile(engine, "Include missing.tape.pre")).toThrow();
+    expect(engine.getSourceFiles()).toEqual([
+      path.join(tmpDir, "missing.tape.pre"),
+    ]);
+  });
+
+  it("resolves nested includes from the including file", () => {
+    write(path.join(tmpDir, "scenes", "a.tape.pre"), "Include b.tape.pre");
+    write(path.join(tmpDir, "scenes", "b.tape.pre"), "Sleep 1s");
+
+    expect(compile(createEngine(), "Include scenes/a.tape.pre")).toBe(
+      "Sleep 1s",
+    );
+  });
+
+  it("resolves Pack paths in an included file from its directory", () => {
+    fs.mkdirSync(path.join(tmpDir, "scenes"));
+    fs.copyFileSync(
+      path.resolve(__dirname, "fixtures", "pack.fixture.js"),
+      path.join(tmpDir, "scenes", "fixture.js"),
+    );
+    write(
+      path.join(tmpDir, "scenes", "intro.tape.pre"),
+      [
+        "Pack ./fixture.js",
+        "Use FixtureEcho",
+        "",
+        "> FixtureEcho $1",
+        "hi",
+      ].join("\n"),
+    );
+
+    expect(compile(createEngine(), "Include scenes/intro.tape.pre")).toBe(
+      formatType("fixture hi"),
+    );
+  });
+
+  it("drops Output and Require lines unless includeFilter says otherwise", () => {
+    write(
+      path.join(tmpDir, "scene.tape.pre"),
+      ["Output scene.gif", "Require git", "Sleep 1s"].join("\n"),
+    );
+    const input = "Output demo.gif\nInclude scene.tape.pre";
+
+    expect(compile(createEngine(), input).split("\n")).toEqual([
+      "Output demo.gif",
+      "Sleep 1s",
+    ]);
+    expect(
+      compile(createEngine({ includeFilter: ["Require"] }), input).split("\n"),
+    ).toEqual(["Output demo.gif", "Output scene.gif", "Sleep 1s"]);
+  });
+
+  it("keeps aliases, packs and modifiers on their own side", () => {
+    write(
+      path.join(tmpDir, "scene.tape.pre"),
+      ["Pack builtins", "Use TypeEnter", "> Go, TypeEnter $1", "ls"].join("\n"),
+    );
+    const input = [
+      "Pack builtins",
+      "Go = Sleep 5s",
+      "",
+      "> Apply Gap 1s",
+      "Include scene.tape.pre",
+      "> Go, TypeEnter $1",
+      "pwd",
+    ].join("\n");
+
+    expect(compile(createEngine(), input).split("\n")).toEqual([
+      "Go",
+      formatType("ls"),
+      "Enter",
+      "Sleep 5s",
+      "Sleep 1s",
+      "TypeEnter pwd",
+    ]);
+  });
+
+  it("detects include cycles", () => {
+    write(path.join(tmpDir, "demo.tape.pre"), "Include a.tape.pre");
+    write(path.join(tmpDir, "a.tape.pre"), "Sleep 1s\nInclude demo.tape.pre");
+
+    expect(() => compile(createEngine(), "Include a.tape.pre")).toThrow(
+      expect.objectContaining({
+        code: "include-cycle",
+        message: "Include cycle: demo.tape.pre -> a.tape.pre -> demo.tape.pre",
+        file: "a.tape.pre",
+        line: 2,
+      }),
+    );
+  });
+
+  it("reports errors with the included file and line", () => {
+    write(path.join(tmpDir, "scene.tape.pre"), "Sleep 1s\n> Repeat x, Down");
+
+    expect(() =>
+      compile(createEngine(), "Hide\nInclude scene.tape.pre"),
+    ).toThrow(
+      expect.objectContaining({
+        code: "macro-error",
+        file: "scene.tape.pre",
+        line: 2,
+        frame: expect.stringContaining("> Repeat x, Down"),
+      }),
+    );
+  });
+
+  it("reports missing files at the Include line", () => {
+    expect(() =>
+      compile(createEngine(), "Hide\nInclude nope.tape.pre"),
+    ).toThrow(
+      expect.objectContaining({
+        code: "include-read",
+        message: "Could not read included file 'nope.tape.pre'",
+        file: "demo.tape.pre",
+        line: 2,
+      }),
+    );
+  });
+
+  it("names the included file in its diagnostics", () => {
+    write(path.join(tmpDir, "scene.tape.pre"), "> Type 'oops");
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+
+    compile(engine, "Include scene.tape.pre");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "unterminated-quote",
+        file: "scene.tape.pre",
+        line: 1,
+      }),
+    ]);
+    expect(engine.getDiagnostics()).toEqual(diagnostics);
+    expect(formatDiagnostic(diagnostics[0], { file: "demo.tape.pre" })).toMatch(
+      /^\[pre-vhs\] scene\.tape\.pre:1:8: warning:/,
+    );
+  });
+
+  it("maps included output to the Include line", () => {
+    write(path.join(tmpDir, "scene.tape.pre"), "Sleep 1s\nSleep 2s");
+    const engine = createEngine();
+
+    compile(engine, "Hide\nInclude scene.tape.pre");
+    expect(engine.getSourceMap().map((entry) => entry.line)).toEqual([1, 2, 2]);
+  });
+
+  it("works with processTextAsync", async () => {
+    write(path.join(tmpDir, "scene.tape.pre"), "> Fetch");
+    const engine = createEngine();
+    engine.registerMacros(
+      { Fetch: async () => ["Sleep 3s"] },
+      { requireUse: false },
+    );
+
+    await expect(
+      engine.processTextAsync("Include scene.tape.pre\nHide", {
+        filename: "demo.tape.pre",
+        baseDir: tmpDir,
+      }),
+    ).resolves.toBe("Sleep 3s\nHide");
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for `Let` variables and `${name}` interpolation.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, formatType } from "../src/index.js";
+
+describe("Let", () => {
+  it("stores a value for later directives", () => {
+    const engine = createEngine();
+    const input = [
+      "> Let repo = my-project",
+      "> Type cd ${repo}, Enter",
+      "> Type git -C ${repo} status",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("cd my-project"),
+      "Enter",
+      formatType("git -C my-project status"),
+    ]);
+  });
+
+  it("interpolates payload lines and raw VHS lines", () => {
+    const engine = createEngine();
+    const input = [
+      "> Let name = demo",
+      "> Type $1",
+      "ls ${name}",
+      "Output ${name}.gif",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("ls demo"),
+      "Output demo.gif",
+    ]);
+  });
+
+  it("takes values from payload lines and strips quotes", () => {
+    const engine = createEngine();
+    const input = [
+      "> Let dir = $1",
+      "/tmp/a b",
+      '> Let greeting = "hello, world"',
+      "> Type ${greeting} from ${dir}",
+    ].join("\n");
+
+    expect(engine.processText(input)).toBe(
+      formatType("hello, world from /tmp/a b"),
+    );
+  });
+
+  it("is visible to alias bodies", () => {
+    const engine = createEngine();
+    const input = [
+      "GoRepo = Type cd ${repo}, Enter",
+      "",
+      "> Let repo = app",
+      "> GoRepo",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("cd app"),
+      "Enter",
+    ]);
+  });
+
+  it("scopes a Let inside a macro to that macro", () => {
+    const engine = createEngine();
+    const input = [
+      "Inner = Let where = inner, Type ${where}",
+      "",
+      "> Let where = outer",
+      "> Inner, Type ${where}",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("inner"),
+      formatType("outer"),
+    ]);
+  });
+
+  it("keeps values literal and leaves unknown names alone", () => {
+    const engine = createEngine();
+    const input = [
+      "Show = Type $1 ${cmd}",
+      "",
+      "> Let cmd = echo $$1",
+      "> Show x",
+      "> Type $${cmd} ${other}",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("x echo $1"),
+      formatType("${cmd} ${other}"),
+    ]);
+  });
+
+  it("uses ${name:-fallback} in directives unless a define or Let sets the name", () => {
+    const engine = createEngine({ defines: { TAG: "v2" } });
+    const input = [
+      "Clone = Type git clone ${repo:-none}",
+      "",
+      "> Let repo = mine",
+      "> Type ${repo:-x}, Type ${TAG:-latest}, Type ${other:-y}",
+      "> Clone",
+      "> Let empty = ''",
+      "> Let copy = ${empty:-z}",
+      "> Type $1",
+      "${repo:-x}/${copy}/${other:-$HOME}",
+      "Output ${repo:-x}.gif",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("mine"),
+      formatType("v2"),
+      formatType("y"),
+      formatType("git clone mine"),
+      formatType("mine/z/${other:-$HOME}"),
+      "Output mine.gif",
+    ]);
+  });
+
+  it("leaves shell text that names no variable alone", () => {
+    const engine = createEngine();
+    const input = [
+      "> Let repo = mine",
+      "> Repeat 2",
+      "> Type $1",
+      "cd ${repo:-x} && echo ${x:-y} $i $n $$",
+      "echo ${dir:-.} $i",
+      "> EndRepeat",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("cd mine && echo ${x:-y} $i $n $$"),
+      "echo ${dir:-.} $i",
+      formatType("cd mine && echo ${x:-y} $i $n $$"),
+      "echo ${dir:-.} $i",
+    ]);
+  });
+
+  it("does not carry values into the next compile", () => {
+    const engine = createEngine();
+    engine.processText("> Let x = 1");
+    expect(engine.processText("> Type ${x}")).toBe(formatType("${x}"));
+  });
+
+  it("reports a Let without a value", () => {
+    const engine = createEngine();
+    expect(() => engine.processText("> Let repo")).toThrow(
+      expect.objectContaining({
+        code: "macro-error",
+        message: "Macro 'Let' failed: expected 'Let name = value'",
+      }),
+    );
+  });
+
+  it("warns that compile-time defines take precedence", () => {
+    const diagnostics = [];
+    const engine = createEngine({
+      defines: { VERSION: "1.0" },
+      onDiagnostic: (d) => diagnostics.push(d),
+    });
+
+    expect(engine.processText("> Let VERSION = 2.0\n> Type ${VERSION}")).toBe(
+      formatType("1.0"),
+    );
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ code: "let-define", line: 1 }),
+    ]);
+  });
+});
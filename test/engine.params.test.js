@@ -0,0 +1,123 @@
+/**
+ * Tests for named alias parameters and `${n:-default}` placeholders.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, processText, formatType } from "../src/index.js";
+
+const header = [
+  "Run(cmd, wait=1s) = Type $cmd, Enter, Sleep $wait",
+  "Nap = Sleep ${1:-500ms}",
+  "",
+];
+
+function compile(...body) {
+  return processText([...header, ...body].join("\n")).split("\n");
+}
+
+describe("named alias parameters", () => {
+  it("maps parameters to positional arguments and fills defaults", () => {
+    expect(compile("> Run $1", "ls")).toEqual([
+      formatType("ls"),
+      "Enter",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("takes named values from the directive line", () => {
+    expect(compile("> Run $1 wait=3s", "ls")).toEqual([
+      formatType("ls"),
+      "Enter",
+      "Sleep 3s",
+    ]);
+  });
+
+  it("uses a positional argument over the default", () => {
+    expect(compile("> Run $1 $2", "ls", "2s")).toEqual([
+      formatType("ls"),
+      "Enter",
+      "Sleep 2s",
+    ]);
+    expect(compile("> Run $1, Type $2", "ls", "pwd")).toEqual([
+      formatType("ls"),
+      "Enter",
+      "Sleep pwd",
+      formatType("pwd"),
+    ]);
+  });
+
+  it("does not read named values from payload text", () => {
+    expect(compile("> Run $1", "env wait=5")).toEqual([
+      formatType("env wait=5"),
+      "Enter",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("consumes lines referenced by named values", () => {
+    expect(compile("> Run pwd wait=$1", "250ms", "Sleep 2s")).toEqual([
+      formatType("pwd"),
+      "Enter",
+      "Sleep 250ms",
+      "Sleep 2s",
+    ]);
+  });
+
+  it("keeps name=value words for undeclared names", () => {
+    expect(compile("> Run echo a=b")).toEqual([
+      formatType("echo a=b"),
+      "Enter",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("leaves other $words in the body alone", () => {
+    const input = ["Show(x) = Type $x $HOME $$x", "", "> Show hi"].join("\n");
+    expect(processText(input)).toBe(formatType("hi $HOME $x"));
+  });
+});
+
+describe("${n:-default}", () => {
+  it("uses the default when the argument is missing or empty", () => {
+    expect(compile("> Nap", "> Nap 2s")).toEqual(["Sleep 500ms", "Sleep 2s"]);
+    expect(compile("> Nap $1", "", "Sleep 1s")).toEqual([
+      "Sleep 500ms",
+      "Sleep 1s",
+    ]);
+  });
+
+  it("works in directives and consumes a line like $n", () => {
+    expect(processText("> Sleep ${1:-1s}\n3s\nEnter").split("\n")).toEqual([
+      "Sleep 3s",
+      "Enter",
+    ]);
+  });
+});
+
+describe("invalid signatures", () => {
+  it.each([
+    ["Run(1x) = Type $1", "'1x' is not a parameter name"],
+    ["Run(a, a) = Type $a", "duplicate parameter 'a'"],
+    ["Run(a=}) = Type $a", "default for 'a' cannot contain '}'"],
+  ])("reports %s", (line, reason) => {
+    const diagnostics = [];
+    const engine = createEngine({
+      headerValidation: "warn",
+      onDiagnostic: (d) => diagnostics.push(d),
+    });
+
+    expect(engine.processText(`${line}\n\n> Run x`)).toBe("Run x");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "invalid-alias-params",
+        message: `Invalid parameters for alias 'Run': ${reason} (expected: Name(a, b=default) = ...)`,
+        line: 1,
+      }),
+    ]);
+  });
+
+  it("accepts empty parentheses", () => {
+    expect(processText("Go() = Type go\n\n> Go")).toBe(formatType("go"));
+  });
+});
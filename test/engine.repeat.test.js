@@ -0,0 +1,165 @@
+/**
+ * Tests for the Repeat directive, inline and as a block.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, formatType } from "../src/index.js";
+
+describe("Repeat", () => {
+  it("repeats the tokens after it", () => {
+    const engine = createEngine();
+    expect(
+      engine.processText("> Type ls, Repeat 3, Down, Sleep 200ms").split("\n"),
+    ).toEqual([
+      formatType("ls"),
+      ...Array(3).fill(["Down", "Sleep 200ms"]).flat(),
+    ]);
+  });
+
+  it("exposes $i and $n to the repeated tokens", () => {
+    const engine = createEngine();
+    expect(
+      engine.processText("> Repeat 2, Type tab $i of $n").split("\n"),
+    ).toEqual([formatType("tab 1 of 2"), formatType("tab 2 of 2")]);
+  });
+
+  it("takes the count from arguments and variables", () => {
+    const engine = createEngine();
+    const input = [
+      "> Let times = 2",
+      "> Repeat ${times}, Tab",
+      "> Repeat $1, Enter",
+      "3",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      "Tab",
+      "Tab",
+      "Enter",
+      "Enter",
+      "Enter",
+    ]);
+  });
+
+  it("works inside aliases, which can read ${i}", () => {
+    const engine = createEngine();
+    const input = [
+      "Page = Type page ${i}, Space",
+      "Pages = Repeat $1, Page",
+      "",
+      "> Pages 2",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("page 1"),
+      "Space",
+      formatType("page 2"),
+      "Space",
+    ]);
+  });
+
+  it("uses the innermost Repeat for $i and keeps $$i literal", () => {
+    const engine = createEngine();
+    expect(
+      engine
+        .processText("> Repeat 2, Type o$i, Repeat 2, Type i$i $$i")
+        .split("\n"),
+    ).toEqual([
+      formatType("o1"),
+      formatType("i1 $i"),
+      formatType("i2 $i"),
+      formatType("o2"),
+      formatType("i1 $i"),
+      formatType("i2 $i"),
+    ]);
+  });
+
+  it("repeats a block of directives, payloads and raw lines", () => {
+    const engine = createEngine();
+    const input = [
+      "> Repeat 2",
+      "> Type $1, Enter",
+      "echo ${i}/${n}",
+      "Sleep 1s",
+      "> EndRepeat",
+      "Hide",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("echo 1/2"),
+      "Enter",
+      "Sleep 1s",
+      formatType("echo 2/2"),
+      "Enter",
+      "Sleep 1s",
+      "Hide",
+    ]);
+  });
+
+  it("nests blocks", () => {
+    const engine = createEngine();
+    const input = [
+      "> Repeat 2",
+      "> Repeat 2",
+      "> Type $i",
+      "> EndRepeat",
+      "> Type done $i",
+      "> EndRepeat",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("1"),
+      formatType("2"),
+      formatType("done 1"),
+      formatType("1"),
+      formatType("2"),
+      formatType("done 2"),
+    ]);
+  });
+
+  it("maps block output back to the repeated lines", () => {
+    const engine = createEngine();
+    engine.processText("> Repeat 2\nSleep 1s\n> EndRepeat");
+    expect(engine.getSourceMap()).toEqual([
+      { line: 2, stack: [] },
+      { line: 2, stack: [] },
+    ]);
+  });
+
+  it("leaves $i alone outside Repeat", () => {
+    const engine = createEngine();
+    expect(engine.processText("> Type $i")).toBe(formatType("$i"));
+  });
+
+  it("rejects counts that are not whole numbers", () => {
+    const engine = createEngine();
+    expect(() => engine.processText("> Repeat many, Down")).toThrow(
+      expect.objectContaining({
+        code: "macro-error",
+        message: "Macro 'Repeat' failed: expected a count, got 'many'",
+        line: 1,
+      }),
+    );
+  });
+
+  it("reports unmatched blocks", () => {
+    const engine = createEngine();
+    expect(() => engine.processText("> Repeat 2\nSleep 1s")).toThrow(
+      expect.objectContaining({ code: "unmatched-block", line: 1 }),
+    );
+    expect(() => engine.processText("Sleep 1s\n> EndRepeat")).toThrow(
+      expect.objectContaining({ code: "unmatched-block", line: 2 }),
+    );
+  });
+
+  it("respects maxExpansionSteps", () => {
+    const engine = createEngine({ maxExpansionSteps: 50 });
+    expect(() => engine.processText("> Repeat 100, Down")).toThrow(
+      expect.objectContaining({ code: "expansion-steps" }),
+    );
+    expect(() => engine.processText("> Repeat 100\nDown\n> EndRepeat")).toThrow(
+      expect.objectContaining({ code: "expansion-steps" }),
+    );
+  });
+});
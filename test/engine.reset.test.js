@@ -0,0 +1,180 @@
+/**
+ * Tests for per-compilation isolation: reusing one engine for several tapes
+ * gives the same output as a fresh engine per tape.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import path from "path";
+
+import { createEngine, formatType, baseCommandName } from "../src/index.js";
+import { initPacksFromSpecs } from "../src/packLoader.js";
+import builtinsPack from "../src/packs/builtins.js";
+import typingStylesPack from "../src/packs/typingStyles.js";
+import probePack from "../src/packs/probe.js";
+
+const fixturesDir = path.join(__dirname, "fixtures");
+
+describe("per-compilation isolation", () => {
+  it("does not leak header aliases into the next compile", () => {
+    const engine = createEngine();
+    const first = ["Greet = Type hi", "", "> Greet"].join("\n");
+    expect(engine.processText(first)).toBe(formatType("hi"));
+
+    expect(engine.processText("> Greet")).toBe("Greet");
+    expect(engine.listMacros().map((m) => m.name)).toEqual([
+      "Type",
+      "Let",
+      "Repeat",
+    ]);
+  });
+
+  it("restores macros a header alias replaced", () => {
+    const engine = createEngine({ warnOnMacroCollision: false });
+    engine.registerMacros({ Hello: () => ["Sleep 1s"] }, { requireUse: false });
+
+    engine.processText("Hello = Type header\n\n> Hello");
+    expect(engine.processText("> Hello")).toBe("Sleep 1s");
+  });
+
+  it("unloads header packs so later tapes must load them again", () => {
+    const engine = createEngine();
+    const withPack = ["Pack builtins", "Use TypeEnter", "> TypeEnter $1", "ls"];
+    const expected = [formatType("ls"), "Enter"].join("\n");
+
+    expect(engine.processText(withPack.join("\n"))).toBe(expected);
+    expect(engine.processText("Use TypeEnter\n> TypeEnter $1\nls")).toBe(
+      "TypeEnter ls",
+    );
+    expect(engine.processText(withPack.join("\n"))).toBe(expected);
+  });
+
+  it("keeps packs loaded before the first compile", () => {
+    const engine = createEngine();
+    const fixture = path.join(fixturesDir, "pack.fixture.js");
+    const input = "Use FixtureEcho\n> FixtureEcho";
+
+    initPacksFromSpecs(
+      [{ module: fixture, options: { suffix: "-one" } }],
+      engine,
+      fixturesDir,
+    );
+    expect(engine.processText(input)).toBe(formatType("fixture-one"));
+
+    engine.reset();
+    expect(engine.processText(input)).toBe(formatType("fixture-one"));
+  });
+
+  it("keeps macros registered between compiles", () => {
+    const engine = createEngine();
+    engine.processText("A = Type a\n\n> A");
+    engine.registerMacros({ B: () => ["Sleep 2s"] }, { requireUse: false });
+
+    expect(engine.processText("> B")).toBe("Sleep 2s");
+  });
+
+  it("starts every compile without a gap", () => {
+    const engine = createEngine();
+    builtinsPack(engine);
+
+    const gapped = engine.processText("> Apply Gap 1s, Type a, Type b");
+    expect(gapped.split("\n")).toEqual([
+      formatType("a"),
+      "Sleep 1s",
+      formatType("b"),
+    ]);
+    expect(engine.processText("> Type a, Type b").split("\n")).toEqual([
+      formatType("a"),
+      formatType("b"),
+    ]);
+  });
+
+  it("starts every compile with the default typing style", () => {
+    const engine = createEngine();
+    typingStylesPack({
+      registerMacros: engine.registerMacros,
+      registerTransform: engine.registerTransform,
+      createCompileState: engine.createCompileState,
+      helpers: { formatType, baseCommandName },
+      options: {},
+    });
+
+    const styled = engine.processText(
+      "> Apply TypingStyle human\n> Type $1\nhi",
+    );
+    expect(styled).toMatch(/^Type@\d+ms "h"/);
+    expect(engine.processText("> Type $1\nhi")).toBe(formatType("hi"));
+  });
+
+  it("forgets the last Probe result between compiles", () => {
+    const engine = createEngine();
+    const spawnSync = vi.fn().mockReturnValue({ stdout: "ok", status: 0 });
+    probePack({
+      registerMacros: (macros) =>
+        engine.registerMacros(macros, { requireUse: false }),
+      createCompileState: engine.createCompileState,
+      helpers: { formatType, baseCommandName },
+      options: { spawnSync },
+    });
+
+    expect(
+      engine.processText("> Probe $1\ntrue\n> IfProbeMatched $1\nyes"),
+    ).toBe(formatType("yes"));
+    expect(engine.processText("> IfProbeMatched $1\nyes")).toBe("");
+  });
+
+  it("matches a fresh engine for each tape", () => {
+    const tapes = [
+      ["Pack builtins", "Use TypeEnter", "> Apply Gap 1s, TypeEnter $1", "ls"],
+      ["Pack typingStyles", "> Apply TypingStyle None", "> Type $1", "pwd"],
+      ["Run = Type $1, Enter", "", "> Run $1", "echo"],
+      ["> Run $1", "echo"],
+    ].map((lines) => lines.join("\n"));
+
+    const shared = createEngine();
+    for (const tape of tapes) {
+      expect(shared.processText(tape)).toBe(createEngine().processText(tape));
+    }
+  });
+});
+
+describe("engine.reset", () => {
+  it("clears the last compile's macros, diagnostics and source map", () => {
+    const engine = createEngine({ onDiagnostic: () => {} });
+    engine.processText("Sleep = Type zz\n\n> Sleep");
+    expect(engine.getDiagnostics()).toHaveLength(1);
+    expect(engine.getSourceMap()).toHaveLength(1);
+
+    engine.reset();
+
+    expect(engine.getDiagnostics()).toEqual([]);
+    expect(engine.getSourceMap()).toEqual([]);
+    expect(engine.listMacros().map((m) => m.name)).toEqual([
+      "Type",
+      "Let",
+      "Repeat",
+    ]);
+  });
+
+  it("keeps diagnostics from engine setup", () => {
+    const engine = createEngine({ onDiagnostic: () => {} });
+    engine.registerMacros({ Type: () => [] });
+    engine.processText("Output demo.gif");
+    engine.reset();
+
+    expect(engine.getDiagnostics().map((d) => d.code)).toEqual([
+      "duplicate-macro",
+    ]);
+  });
+
+  it("gives packs fresh state from createCompileState", () => {
+    const engine = createEngine();
+    const counter = engine.createCompileState(() => ({ n: 0 }));
+    engine.registerMacros(
+      { Count: () => [`Sleep ${(counter().n += 1)}s`] },
+      { requireUse: false },
+    );
+
+    expect(engine.processText("> Count\n> Count")).toBe("Sleep 1s\nSleep 2s");
+    expect(engine.processText("> Count")).toBe("Sleep 1s");
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for `UseFile`: importing header aliases from other files.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { createEngine, formatType } from "../src/index.js";
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+describe("UseFile", () => {
+  let tmpDir;
+  let compile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-usefile-test-"));
+    compile = (engine, text, filename = "demo.tape.pre") =>
+      engine.processText(text, { filename, baseDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("imports aliases from another file's header", () => {
+    write(
+      path.join(tmpDir, "lib", "macros.pre"),
+      "Run = Type $1, Enter, Sleep 1s\n\n> Run ignored",
+    );
+
+    const out = compile(
+      createEngine(),
+      "UseFile ./lib/macros.pre\n\n> Run $1\nls",
+    );
+    expect(out.split("\n")).toEqual([formatType("ls"), "Enter", "Sleep 1s"]);
+  });
+
+  it("resolves Pack paths in an imported file from its directory", () => {
+    fs.mkdirSync(path.join(tmpDir, "lib"));
+    fs.copyFileSync(
+      path.resolve(__dirname, "fixtures", "pack.fixture.js"),
+      path.join(tmpDir, "lib", "fixture.js"),
+    );
+    write(
+      path.join(tmpDir, "lib", "macros.pre"),
+      "Pack ./fixture.js\nUse FixtureEcho",
+    );
+
+    expect(
+      compile(createEngine(), "UseFile lib/macros.pre\n\n> FixtureEcho $1\nhi"),
+    ).toBe(formatType("fixture hi"));
+  });
+
+  it("resolves paths from the importing file", () => {
+    write(path.join(tmpDir, "demos", "macros.pre"), 'UseFile "../shared.pre"');
+    write(path.join(tmpDir, "shared.pre"), "Pause = Sleep 2s");
+
+    expect(
+      compile(
+        createEngine(),
+        "UseFile macros.pre\n\n> Pause",
+        "demos/demo.tape.pre",
+      ),
+    ).toBe("Sleep 2s");
+  });
+
+  it("loads the file's Pack and Use lines", () => {
+    write(
+      path.join(tmpDir, "macros.pre"),
+      "Pack builtins\nUse TypeEnter\nShell = TypeEnter $1",
+    );
+
+    expect(
+      compile(createEngine(), "UseFile macros.pre\n\n> Shell $1\npwd").split(
+        "\n",
+      ),
+    ).toEqual([formatType("pwd"), "Enter"]);
+  });
+
+  it("loads each file once", () => {
+    write(path.join(tmpDir, "a.pre"), "UseFile b.pre\nA = Sleep 1s");
+    write(path.join(tmpDir, "b.pre"), "UseFile a.pre\nB = Sleep 2s");
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+
+    const input = "UseFile a.pre\nUseFile b.pre\n\n> A, B";
+    expect(compile(engine, input).split("\n")).toEqual([
+      "Sleep 1s",
+      "Sleep 2s",
+    ]);
+    expect(diagnostics).toEqual([]);
+  });
+
+  it("lets the tape redefine imported aliases, with a warning", () => {
+    write(path.join(tmpDir, "macros.pre"), "# shared\nRun = Type $1, Enter");
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+
+    const out = compile(engine, "UseFile macros.pre\nRun = Type $1\n\n> Run x");
+    expect(out).toBe(formatType("x"));
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "duplicate-macro",
+        message:
+          "Duplicate macro registration for 'Run', last definition wins (also defined in macros.pre line 2)",
+        line: 2,
+      }),
+    ]);
+    expect(diagnostics[0].file).toBeUndefined();
+  });
+
+  it("reports problems in the imported file with its name and line", () => {
+    write(path.join(tmpDir, "a.pre"), "Run = Type $1");
+    write(path.join(tmpDir, "b.pre"), "\nRun = Type $1, Enter\nBad =");
+    const diagnostics = [];
+    const engine = createEngine({
+      headerValidation: "warn",
+      onDiagnostic: (d) => diagnostics.push(d),
+    });
+
+    compile(engine, "UseFile a.pre\nUseFile b.pre\n\nHide");
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "malformed-alias",
+        file: "b.pre",
+        line: 3,
+      }),
+      expect.objectContaining({
+        code: "duplicate-macro",
+        file: "b.pre",
+        line: 2,
+        snippet: "Run = Type $1, Enter",
+      }),
+    ]);
+  });
+
+  it("throws header errors from the imported file", () => {
+    write(path.join(tmpDir, "macros.pre"), "Pack\nRun = Type $1");
+    const engine = createEngine({ headerValidation: "error" });
+
+    expect(() => compile(engine, "UseFile macros.pre\n\nHide")).toThrow(
+      expect.objectContaining({
+        code: "empty-pack",
+        file: "macros.pre",
+        line: 1,
+        frame: expect.stringContaining("> 1 | Pack"),
+      }),
+    );
+  });
+
+  it("reports files it cannot read at the UseFile line", () => {
+    expect(() =>
+      compile(createEngine(), "Pack builtins\nUseFile nope.pre\n\nHide"),
+    ).toThrow(
+      expect.objectContaining({
+        code: "usefile-read",
+        message: "Could not read UseFile 'nope.pre'",
+        file: "demo.tape.pre",
+        line: 2,
+      }),
+    );
+  });
+
+  it("drops imported aliases after the compile", () => {
+    write(path.join(tmpDir, "macros.pre"), "Run = Sleep 1s");
+    const engine = createEngine();
+
+    expect(compile(engine, "UseFile macros.pre\n\n> Run")).toBe("Sleep 1s");
+    expect(compile(engine, "> Run")).toBe("Run");
+  });
+
+  it("lists where imported aliases came from", () => {
+    write(path.join(tmpDir, "macros.pre"), "Run = Sleep 1s");
+    const engine = createEngine();
+
+    engine.loadHeader("UseFile macros.pre", {
+      filename: "demo.tape.pre",
+      baseDir: tmpDir,
+    });
+    expect(engine.listMacros().find((m) => m.name === "Run").source).toEqual({
+      kind: "header",
+      line: 1,
+      file: "macros.pre",
+    });
+  });
+});
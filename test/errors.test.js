@@ -0,0 +1,181 @@
+/**
+ * Tests for typed compile errors (src/errors.js and engine error context).
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, processText, PreVhsError } from "../src/index.js";
+import { codeFrame, formatError } from "../src/errors.js";
+
+function compileError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  throw new Error("expected an error");
+}
+
+describe("codeFrame", () => {
+  const lines = ["Output a.gif", "> Run $1", "ls", "Sleep 1s", "Enter"];
+
+  it("marks the range, shows context and points at the column", () => {
+    expect(codeFrame(lines, { line: 2, endLine: 3, column: 3 })).toBe(
+      [
+        "  1 | Output a.gif",
+        "> 2 | > Run $1",
+        "    |   ^",
+        "> 3 | ls",
+        "  4 | Sleep 1s",
+      ].join("\n"),
+    );
+  });
+
+  it("pads the gutter for wider line numbers", () => {
+    const many = Array.from({ length: 10 }, (_, i) => `L${i + 1}`);
+    expect(codeFrame(many, { line: 10 })).toBe("   9 | L9\n> 10 | L10");
+  });
+
+  it("returns an empty frame for out-of-range lines", () => {
+    expect(codeFrame(lines, { line: 9 })).toBe("");
+  });
+});
+
+describe("formatError", () => {
+  it("formats plain errors like before", () => {
+    expect(formatError(new Error("nope"))).toBe("[pre-vhs] Error: nope");
+  });
+
+  it("includes location, code, macro stack and frame", () => {
+    const err = new PreVhsError("bad", {
+      code: "x",
+      file: "demo.tape.pre",
+      line: 2,
+      column: 3,
+      macroStack: ["A", "B"],
+      frame: "> 2 | > A",
+    });
+    expect(formatError(err)).toBe(
+      [
+        "[pre-vhs] demo.tape.pre:2:3: error: bad (x)",
+        "  macro stack: A -> B",
+        "> 2 | > A",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("engine errors", () => {
+  it("reports recursion with file, line, column, stack and frame", () => {
+    const input = [
+      "A = B $1",
+      "B = A",
+      "",
+      "Output x.gif",
+      "> Sleep 1s, A $1",
+      "payload",
+      "Sleep 1s",
+    ].join("\n");
+
+    const err = compileError(() =>
+      processText(input, { filename: "demo.tape.pre" }),
+    );
+
+    expect(err).toBeInstanceOf(PreVhsError);
+    expect(err).toMatchObject({
+      code: "macro-recursion",
+      file: "demo.tape.pre",
+      line: 5,
+      endLine: 6,
+      column: 13,
+      macroStack: ["A", "B", "A"],
+    });
+    expect(err.message).toBe("Macro recursion detected: A -> B -> A");
+    expect(err.frame).toBe(
+      [
+        "  4 | Output x.gif",
+        "> 5 | > Sleep 1s, A $1",
+        "    |             ^",
+        "> 6 | payload",
+        "  7 | Sleep 1s",
+      ].join("\n"),
+    );
+  });
+
+  it("types expansion limit errors", () => {
+    const engine = createEngine({ maxExpansionDepth: 2 });
+    engine.registerMacros(
+      { A: () => ["B"], B: () => ["C"], C: () => ["Enter"] },
+      { requireUse: false },
+    );
+
+    const err = compileError(() => engine.processText("> A"));
+    expect(err).toMatchObject({
+      code: "expansion-depth",
+      line: 1,
+      column: 3,
+      macroStack: ["A", "B"],
+    });
+  });
+
+  it("types header errors in error mode", () => {
+    const engine = createEngine({ headerValidation: "error" });
+
+    const err = compileError(() =>
+      engine.processText("Use\n\n> Type hi", { filename: "h.tape.pre" }),
+    );
+    expect(err).toMatchObject({
+      code: "empty-use",
+      file: "h.tape.pre",
+      line: 1,
+      column: 1,
+    });
+    expect(err.frame).toContain("> 1 | Use");
+  });
+
+  it("wraps errors thrown by macros", () => {
+    const engine = createEngine();
+    const cause = new Error("kaput");
+    engine.registerMacros(
+      {
+        Boom() {
+          throw cause;
+        },
+      },
+      { requireUse: false },
+    );
+
+    const err = compileError(() => engine.processText("> Boom"));
+    expect(err).toMatchObject({
+      code: "macro-error",
+      message: "Macro 'Boom' failed: kaput",
+      macroStack: ["Boom"],
+      cause,
+    });
+  });
+
+  it("wraps errors thrown by transforms", () => {
+    const engine = createEngine();
+    engine.registerTransform("postExpand", () => {
+      throw new Error("bad transform");
+    });
+
+    const err = compileError(() => engine.processText("Output a\nSleep 1s"));
+    expect(err).toMatchObject({
+      code: "transform-error",
+      message: "bad transform",
+      line: 1,
+    });
+  });
+
+  it("points pack load failures at their Pack line", () => {
+    const err = compileError(() =>
+      createEngine().processText("# demo\nPack ./no-such-pack.js\n\nOutput a"),
+    );
+    expect(err).toMatchObject({ code: "pack-load", line: 2, column: 1 });
+    expect(err.message).toMatch(
+      /^Could not load pack '.\/no-such-pack.js': Cannot find module/,
+    );
+    expect(err.message).not.toContain("Require stack");
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for expansion tracing (engine onTrace + src/explain.js).
+ */
+
+import { describe, it, expect, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { createEngine, formatType } from "../src/index.js";
+import { formatTraceEvent, explainText } from "../src/explain.js";
+
+const INPUT = [
+  "TypeSleep = Type $1, Sleep 1s",
+  "Run = TypeSleep $1, Enter",
+  "",
+  "Output demo.gif",
+  "> Run $1",
+  "ls -la",
+].join("\n");
+
+describe("engine onTrace", () => {
+  it("reports directives, macro calls with stacks, and emitted lines", () => {
+    const events = [];
+    const engine = createEngine({ onTrace: (e) => events.push(e) });
+
+    engine.processText(INPUT);
+
+    expect(events.map((e) => e.type)).toEqual([
+      "directive",
+      "macro",
+      "macro",
+      "macro",
+      "output",
+    ]);
+    expect(events[0]).toMatchObject({
+      lineNo: 5,
+      headerText: "Run $1",
+      tokens: ["Run $1"],
+      args: { positional: ["ls -la"], star: undefined },
+    });
+    expect(events[1]).toMatchObject({
+      name: "Run",
+      token: "Run ls -la",
+      stack: ["Run"],
+      result: ["TypeSleep ls -la", "Enter"],
+    });
+    expect(events[2].stack).toEqual(["Run", "TypeSleep"]);
+    expect(events[3].stack).toEqual(["Run", "TypeSleep", "Type"]);
+    expect(events[4]).toEqual({
+      type: "output",
+      lineNo: 5,
+      lines: [formatType("ls -la"), "Sleep 1s", "Enter"],
+    });
+  });
+
+  it("reports tokens after header transforms", () => {
+    const events = [];
+    const engine = createEngine({ onTrace: (e) => events.push(e) });
+    engine.registerTransform("header", (tokens) => [...tokens, "Sleep 1s"]);
+
+    engine.processText("> Enter");
+
+    expect(events[0].tokens).toEqual(["Enter", "Sleep 1s"]);
+  });
+
+  describe("with Include", () => {
+    let tmpDir;
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("names the file of every event", () => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-trace-test-"));
+      fs.mkdirSync(path.join(tmpDir, "scenes"));
+      fs.writeFileSync(
+        path.join(tmpDir, "scenes", "intro.tape.pre"),
+        "> Type $1\nhi",
+      );
+      const events = [];
+      const engine = createEngine({ onTrace: (e) => events.push(e) });
+
+      engine.processText("> Type $1\nyo\nInclude scenes/intro.tape.pre", {
+        filename: "demo.tape.pre",
+        baseDir: tmpDir,
+      });
+
+      expect(events.map((e) => [e.type, e.file, e.lineNo])).toEqual([
+        ["directive", "demo.tape.pre", 1],
+        ["macro", "demo.tape.pre", 1],
+        ["output", "demo.tape.pre", 1],
+        ["directive", "scenes/intro.tape.pre", 1],
+        ["macro", "scenes/intro.tape.pre", 1],
+        ["output", "scenes/intro.tape.pre", 1],
+      ]);
+    });
+  });
+});
+
+describe("formatTraceEvent", () => {
+  it("formats directive args including $*", () => {
+    const lines = formatTraceEvent({
+      type: "directive",
+      lineNo: 3,
+      headerText: "Block $1",
+      tokens: ["Block $1"],
+      args: { positional: ["first"], star: "a\nb" },
+    });
+
+    expect(lines).toEqual([
+      "line 3: > Block $1",
+      "  tokens: Block $1",
+      '  $1 = "first"',
+      '  $* = "a\\nb"',
+    ]);
+  });
+
+  it("labels directives from another file with that file", () => {
+    const event = {
+      type: "directive",
+      lineNo: 2,
+      headerText: "Enter",
+      tokens: ["Enter"],
+      args: { positional: [] },
+      file: "scenes/intro.tape.pre",
+    };
+
+    expect(formatTraceEvent(event)[0]).toBe("scenes/intro.tape.pre:2: > Enter");
+    expect(formatTraceEvent(event, { file: "scenes/intro.tape.pre" })[0]).toBe(
+      "line 2: > Enter",
+    );
+  });
+
+  it("indents macro calls by stack depth", () => {
+    const lines = formatTraceEvent({
+      type: "macro",
+      name: "Inner",
+      token: "Inner x",
+      stack: ["Outer", "Inner"],
+      result: [],
+    });
+
+    expect(lines).toEqual([
+      "    Inner  [Outer -> Inner]  <- Inner x",
+      "      => (nothing)",
+    ]);
+  });
+
+  it("ignores unknown event types", () => {
+    expect(formatTraceEvent({ type: "other" })).toEqual([]);
+  });
+});
+
+describe("explainText", () => {
+  it("returns the trace alongside the compiled output", () => {
+    const { trace, output } = explainText(INPUT);
+
+    expect(output).toBe(
+      ["Output demo.gif", formatType("ls -la"), "Sleep 1s", "Enter"].join("\n"),
+    );
+    expect(trace).toContain("line 5: > Run $1");
+    expect(trace).toContain("TypeSleep  [Run -> TypeSleep]");
+    expect(trace).toContain("  output:");
+  });
+});
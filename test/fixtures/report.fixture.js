@@ -0,0 +1,16 @@
+module.exports = function reportFixturePack(engine) {
+  engine.registerMacros(
+    {
+      Fail(payload, _rawCmd, _args, ctx) {
+        engine.report({
+          severity: "error",
+          code: "fixture/fail",
+          message: `failed on '${payload}'`,
+          line: ctx.lineNo,
+        });
+        return [];
+      },
+    },
+    { requireUse: false },
+  );
+};
@@ -68,6 +68,17 @@ describe("header validation", () => {
     warnSpy.mockRestore();
   });
 
+  it("warns on empty UseFile statement", () => {
+    const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { processText } = createEngine({ headerValidation: "warn" });
+
+    processText("UseFile\n\n> Type $1\nhello");
+
+    expect(warnSpy).toHaveBeenCalled();
+    expect(warnSpy.mock.calls[0][0]).toMatch(/'UseFile' requires a path/);
+    warnSpy.mockRestore();
+  });
+
   it("warns on malformed alias with = but invalid syntax", () => {
     const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
     const { processText } = createEngine({ headerValidation: "warn" });
@@ -5,7 +5,13 @@
 import { describe, it, expect, vi } from "vitest";
 
 // Import helpers directly to test them in isolation
-const { maxArgIndex, reportHeaderIssue } = require("../src/helpers.js");
+const {
+  maxArgIndex,
+  substitutePlaceholders,
+  unescapeDollars,
+  interpolateDefines,
+  reportHeaderIssue,
+} = require("../src/helpers.js");
 
 describe("maxArgIndex", () => {
   it("returns max 0 and hasStar false for empty array", () => {
@@ -37,6 +43,27 @@ describe("maxArgIndex", () => {
     const result = maxArgIndex(["prefix $* suffix"]);
     expect(result).toEqual({ max: 0, hasStar: true });
   });
+
+  it("ignores escaped dollars", () => {
+    const result = maxArgIndex(["Type $$1 $$*", "Cmd $$$2"]);
+    expect(result).toEqual({ max: 2, hasStar: false });
+  });
+});
+
+describe("substitutePlaceholders", () => {
+  it("escapes substituted values and keeps $$", () => {
+    const out = substitutePlaceholders("Type $1 $$1 $*", (key) =>
+      key === "*" ? "all $*" : "echo $2",
+    );
+    expect(out).toBe("Type echo $$2 $$1 all $$*");
+    expect(unescapeDollars(out)).toBe("Type echo $2 $1 all $*");
+  });
+
+  it("keeps placeholders the lookup skips", () => {
+    expect(substitutePlaceholders("EachLine Type $1", () => undefined)).toBe(
+      "EachLine Type $1",
+    );
+  });
 });
 
 describe("reportHeaderIssue", () => {
@@ -70,3 +97,59 @@ describe("reportHeaderIssue", () => {
     warnSpy.mockRestore();
   });
 });
+
+describe("interpolateDefines", () => {
+  it("replaces defined names", () => {
+    expect(interpolateDefines("v${VERSION}", { VERSION: "2.3.1" })).toBe(
+      "v2.3.1",
+    );
+  });
+
+  it("keeps unknown names and uses fallbacks", () => {
+    expect(interpolateDefines("${NOPE}")).toBe("${NOPE}");
+    expect(interpolateDefines("${NOPE:-1s}")).toBe("1s");
+    expect(interpolateDefines("${EMPTY:-x}", { EMPTY: "" })).toBe("x");
+    const defer = { deferFallbacks: true };
+    expect(interpolateDefines("${NOPE:-1s}", {}, {}, defer)).toBe(
+      "${NOPE:-1s}",
+    );
+    expect(interpolateDefines("${EMPTY:-x}", { EMPTY: "" }, {}, defer)).toBe(
+      "x",
+    );
+    expect(interpolateDefines("${env.NOPE:-x}", {}, {}, defer)).toBe("x");
+  });
+
+  it("reads env lookups and blanks unset env names", () => {
+    const env = { USER: "ada" };
+    expect(interpolateDefines("${env.USER}", {}, env)).toBe("ada");
+    expect(interpolateDefines("${env.MISSING}", {}, env)).toBe("");
+    expect(interpolateDefines("${env.MISSING:-guest}", {}, env)).toBe("guest");
+  });
+
+  it("skips escaped placeholders", () => {
+    const defines = { VERSION: "2.3.1" };
+    expect(
+      interpolateDefines(
+        "$${VERSION} $$$${VERSION} $$${VERSION}",
+        defines,
+        {},
+        {
+          template: true,
+        },
+      ),
+    ).toBe("$${VERSION} $$$${VERSION} $$2.3.1");
+    expect(interpolateDefines("$${VERSION} $$", defines)).toBe(
+      "$${VERSION} $$",
+    );
+    expect(
+      interpolateDefines("${CMD}", { CMD: "echo $1" }, {}, { template: true }),
+    ).toBe("echo $$1");
+    expect(interpolateDefines("${CMD}", { CMD: "echo $1" })).toBe("echo $1");
+  });
+
+  it("ignores positional and non-identifier placeholders", () => {
+    expect(
+      interpolateDefines("$1 ${1} ${a b} $VERSION", { VERSION: "x" }),
+    ).toBe("$1 ${1} ${a b} $VERSION");
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for `pre-vhs init` scaffolding (src/init.js).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+import { spawnSync } from "child_process";
+
+import { processText } from "../src/index.js";
+import { TEMPLATES, planInit, initProject } from "../src/init.js";
+
+describe("planInit", () => {
+  it("plans demo.tape.pre from the minimal template by default", () => {
+    const files = planInit(undefined, { cwd: "/work" });
+    expect(files).toEqual([
+      { path: "/work/demo.tape.pre", content: TEMPLATES.minimal("demo") },
+    ]);
+  });
+
+  it("adds a config in cwd and a golden test next to the tape", () => {
+    const files = planInit("tapes/intro.tape.pre", {
+      cwd: "/work",
+      withConfig: true,
+      withTest: true,
+    });
+    expect(files.map((f) => f.path)).toEqual([
+      "/work/tapes/intro.tape.pre",
+      "/work/pre-vhs.config.js",
+      "/work/tapes/intro.test.js",
+    ]);
+    expect(files[0].content).toContain("Output intro.gif");
+    expect(files[2].content).toContain('"intro.tape.pre"');
+    expect(files[2].content).toContain("intro.tape.expected");
+  });
+
+  it("rejects unknown templates", () => {
+    expect(() => planInit("demo", { template: "fancy" })).toThrow(
+      "Unknown template 'fancy' (expected: minimal, typing-styles, probe)",
+    );
+  });
+});
+
+describe("TEMPLATES", () => {
+  it.each(Object.keys(TEMPLATES))("%s compiles without warnings", (name) => {
+    const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const output = processText(TEMPLATES[name]("demo"), {
+      engineOptions: { headerValidation: "error" },
+    });
+
+    expect(output).toContain("Output demo.gif");
+    expect(output).not.toMatch(/^>/m);
+    expect(warnSpy).not.toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
+describe("initProject", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-init-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes files, creating directories as needed", () => {
+    const written = initProject("tapes/demo", {
+      cwd: tmpDir,
+      template: "probe",
+      withConfig: true,
+    });
+
+    expect(written).toEqual([
+      path.join(tmpDir, "tapes", "demo.tape.pre"),
+      path.join(tmpDir, "pre-vhs.config.js"),
+    ]);
+    expect(fs.readFileSync(written[0], "utf8")).toBe(TEMPLATES.probe("demo"));
+  });
+
+  it("writes a config that loads as a valid project config", async () => {
+    const { loadConfig } = await import("../src/config.js");
+    initProject("demo", { cwd: tmpDir, withConfig: true });
+
+    expect(loadConfig({ startDir: tmpDir })).toMatchObject({
+      engineOptions: { headerValidation: "warn", defines: {} },
+      packs: [],
+    });
+  });
+
+  it("refuses to overwrite existing files unless forced", () => {
+    const tapePath = path.join(tmpDir, "demo.tape.pre");
+    fs.writeFileSync(tapePath, "Output mine.gif\n");
+
+    expect(() => initProject("demo", { cwd: tmpDir })).toThrow(
+      `Refusing to overwrite ${tapePath} (use --force)`,
+    );
+    expect(fs.readFileSync(tapePath, "utf8")).toBe("Output mine.gif\n");
+
+    initProject("demo", { cwd: tmpDir, force: true });
+    expect(fs.readFileSync(tapePath, "utf8")).toBe(TEMPLATES.minimal("demo"));
+  });
+});
+
+describe("generated golden test", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-golden-test-"));
+    // Let the generated test require("pre-vhs") this checkout
+    fs.mkdirSync(path.join(tmpDir, "node_modules"));
+    fs.symlinkSync(
+      path.join(__dirname, ".."),
+      path.join(tmpDir, "node_modules", "pre-vhs"),
+      "dir",
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function runGoldenTest(env = {}) {
+    const { UPDATE_GOLDEN: _ignored, ...baseEnv } = process.env;
+    return spawnSync(
+      process.execPath,
+      ["--test", path.join("tapes", "demo.test.js")],
+      { cwd: tmpDir, env: { ...baseEnv, ...env }, encoding: "utf8" },
+    );
+  }
+
+  it("fails until the golden file is recorded, then compiles with the config", () => {
+    initProject("tapes/demo", {
+      cwd: tmpDir,
+      withConfig: true,
+      withTest: true,
+    });
+    fs.writeFileSync(
+      path.join(tmpDir, "pre-vhs.config.js"),
+      'module.exports = { engine: { defines: { NAME: "config" } } };\n',
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "tapes", "demo.tape.pre"),
+      "> Type hello ${NAME}\n",
+    );
+    const expectedPath = path.join(tmpDir, "tapes", "demo.tape.expected");
+
+    expect(runGoldenTest().status).not.toBe(0);
+    expect(fs.existsSync(expectedPath)).toBe(false);
+
+    expect(runGoldenTest({ UPDATE_GOLDEN: "1" }).status).toBe(0);
+    expect(fs.readFileSync(expectedPath, "utf8").trimEnd()).toBe(
+      "Type `hello config`",
+    );
+    expect(runGoldenTest().status).toBe(0);
+  });
+});
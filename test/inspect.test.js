@@ -0,0 +1,143 @@
+/**
+ * Tests for macro introspection (engine.listMacros + src/inspect.js).
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import path from "path";
+
+import { createEngine } from "../src/index.js";
+import { describeSource, formatMacroTable } from "../src/inspect.js";
+
+const fixtureRel = `./${path.relative(
+  process.cwd(),
+  path.join(__dirname, "fixtures", "pack.fixture.js"),
+)}`;
+
+describe("engine.listMacros", () => {
+  it("starts with the built-in macros", () => {
+    expect(createEngine().listMacros()).toEqual([
+      {
+        name: "Type",
+        requireUse: false,
+        source: { kind: "builtin" },
+        shadowsVhs: true,
+      },
+      {
+        name: "Let",
+        requireUse: false,
+        source: { kind: "builtin" },
+        shadowsVhs: false,
+      },
+      {
+        name: "Repeat",
+        requireUse: false,
+        source: { kind: "builtin" },
+        shadowsVhs: false,
+      },
+    ]);
+  });
+
+  it("records pack files, header lines and direct registrations", () => {
+    const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const engine = createEngine();
+    engine.registerMacros({ Direct: () => [] });
+    engine.loadHeader(
+      [`Pack ${fixtureRel}`, "Use FixtureEcho", "Sleep = Type zz", ""].join(
+        "\n",
+      ),
+    );
+
+    const byName = Object.fromEntries(
+      engine.listMacros().map((m) => [m.name, m]),
+    );
+
+    expect(byName.Direct).toMatchObject({
+      requireUse: true,
+      source: { kind: "api" },
+    });
+    expect(byName.FixtureEcho).toMatchObject({
+      requireUse: true,
+      source: {
+        kind: "pack",
+        path: path.join(__dirname, "fixtures", "pack.fixture.js"),
+      },
+      shadowsVhs: false,
+    });
+    expect(byName.Sleep).toMatchObject({
+      requireUse: false,
+      source: { kind: "header", line: 3 },
+      shadowsVhs: true,
+    });
+    warnSpy.mockRestore();
+  });
+
+  it("keeps Use required for packs loaded from the header", () => {
+    const engine = createEngine();
+    engine.loadHeader("Pack builtins\n");
+    expect(
+      engine.listMacros().find((m) => m.name === "TypeEnter").requireUse,
+    ).toBe(true);
+  });
+});
+
+describe("engine.loadHeader", () => {
+  it("returns Use names and the body without processing it", () => {
+    const engine = createEngine();
+    const result = engine.loadHeader("Use A B\nX = Type x\n\n> X\nbody");
+
+    expect(result.useNames).toEqual(["A", "B"]);
+    expect(result.bodyStartIndex).toBe(3);
+    expect(result.bodyLines).toEqual(["> X", "body"]);
+  });
+});
+
+describe("describeSource", () => {
+  it("describes each source kind", () => {
+    expect(describeSource({ kind: "builtin" })).toBe("built-in");
+    expect(describeSource({ kind: "header", line: 4 })).toBe("header line 4");
+    expect(
+      describeSource({ kind: "header", line: 2, file: "lib/macros.pre" }),
+    ).toBe("lib/macros.pre line 2");
+    expect(describeSource({ kind: "api" })).toBe("registerMacros");
+    expect(
+      describeSource({
+        kind: "pack",
+        path: path.join(__dirname, "..", "src", "packs", "probe.js"),
+      }),
+    ).toBe("pack probe");
+    expect(
+      describeSource({ kind: "pack", path: "/work/x/team.js" }, "/work"),
+    ).toBe(`pack ${path.join("x", "team.js")}`);
+  });
+});
+
+describe("formatMacroTable", () => {
+  const macros = [
+    {
+      name: "Type",
+      requireUse: false,
+      source: { kind: "builtin" },
+      shadowsVhs: true,
+    },
+    {
+      name: "Greet",
+      requireUse: true,
+      source: { kind: "header", line: 2 },
+      shadowsVhs: false,
+    },
+  ];
+
+  it("renders an aligned table", () => {
+    expect(formatMacroTable(macros).split("\n")).toEqual([
+      "Macro  Needs Use  Source         Notes",
+      "Type   no         built-in       shadows VHS command",
+      "Greet  yes        header line 2",
+    ]);
+  });
+
+  it("adds an Active column when Use names are given", () => {
+    const lines = formatMacroTable(macros, { useNames: [] }).split("\n");
+    expect(lines[0]).toContain("Active");
+    expect(lines[2]).toMatch(/^Greet\s+yes\s+no\s+header line 2$/);
+  });
+});
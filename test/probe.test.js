@@ -194,4 +194,120 @@ describe("probe pack", () => {
     const out = engine.processText(input).split("\n");
     expect(out).toEqual([formatType("fallback")]);
   });
+
+  it("gates If blocks with probe.matched", () => {
+    const spawnSync = vi
+      .fn()
+      .mockReturnValueOnce({ stdout: "ready", status: 0 })
+      .mockReturnValueOnce({ stdout: "down", status: 0 });
+    const engine = createEngine();
+    probePack({
+      registerMacros: (macros) =>
+        engine.registerMacros(macros, { requireUse: false }),
+      registerConditions: engine.registerConditions,
+      helpers: { formatType, baseCommandName },
+      options: { spawnSync },
+    });
+
+    const input = [
+      "> Repeat 2",
+      "> Probe /ready/ $1",
+      "curl -s localhost/health",
+      "> If probe.matched",
+      "Sleep 1s",
+      "> Else",
+      "Sleep 9s",
+      "> EndIf",
+      "> EndRepeat",
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      "Sleep 1s",
+      "Sleep 9s",
+    ]);
+  });
+});
+
+describe("probe pack (async)", () => {
+  function asyncEngine(options) {
+    const engine = createEngine({ onDiagnostic: () => {} });
+    probePack({
+      registerMacros: (macros) =>
+        engine.registerMacros(macros, { requireUse: false }),
+      report: engine.report,
+      helpers: { formatType, baseCommandName },
+      options: { async: true, ...options },
+    });
+    return engine;
+  }
+
+  const input = [
+    "> Probe /ready/ $1",
+    "check",
+    "> IfProbeMatched $1",
+    "up",
+    "> IfProbeNotMatched $1",
+    "down",
+  ].join("\n");
+
+  it("runs the command with exec and awaits the result", async () => {
+    const exec = vi.fn((command, opts, callback) => {
+      setTimeout(() => callback(null, "ready\n", ""), 0);
+    });
+    const engine = asyncEngine({ exec, defaultTimeoutMs: 250 });
+
+    expect(await engine.processTextAsync(input)).toBe(formatType("up"));
+    expect(exec).toHaveBeenCalledWith(
+      "check",
+      { encoding: "utf8", timeout: 250 },
+      expect.any(Function),
+    );
+  });
+
+  it("treats a nonzero exit as a result, not a failure", async () => {
+    const exec = vi.fn((command, opts, callback) => {
+      callback(Object.assign(new Error("exit 1"), { code: 1 }), "", "");
+    });
+    const engine = asyncEngine({ exec });
+
+    const out = await engine.processTextAsync(
+      "> Probe $1\nfalse\n> IfProbeNotMatched $1\ndown",
+    );
+    expect(out).toBe(formatType("down"));
+    expect(engine.getDiagnostics()).toEqual([]);
+  });
+
+  it("reports commands that time out", async () => {
+    const exec = vi.fn((command, opts, callback) => {
+      callback(Object.assign(new Error("killed"), { killed: true }), "", "");
+    });
+    const engine = asyncEngine({ exec, defaultTimeoutMs: 10 });
+
+    expect(await engine.processTextAsync(input)).toBe(formatType("down"));
+    expect(engine.getDiagnostics()).toEqual([
+      expect.objectContaining({
+        code: "probe/failed",
+        message: "Probe command 'check' failed: Error: timed out after 10ms",
+        line: 1,
+      }),
+    ]);
+  });
+
+  it("runs real commands without blocking", async () => {
+    const engine = asyncEngine();
+    const out = await engine.processTextAsync(
+      [
+        "> Probe /ready/ $1",
+        "node -e \"process.stdout.write('ready')\"",
+        "> IfProbeMatched $1",
+        "up",
+      ].join("\n"),
+    );
+    expect(out).toBe(formatType("up"));
+  });
+
+  it("needs processTextAsync", () => {
+    const engine = asyncEngine({ exec: (c, o, callback) => callback(null) });
+    expect(() => engine.processText(input)).toThrow(/processTextAsync/);
+  });
 });
@@ -0,0 +1,136 @@
+/**
+ * Tests for output-to-input line mapping (engine.getSourceMap and
+ * src/sourceMap.js).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { createEngine } from "../src/index.js";
+import {
+  sourceMapPath,
+  createSourceMap,
+  writeSourceMap,
+  readSourceMap,
+  lookupLine,
+} from "../src/sourceMap.js";
+
+describe("engine.getSourceMap", () => {
+  it("maps output lines to directives, raw lines and macro stacks", () => {
+    const engine = createEngine();
+    const output = engine.processText(
+      [
+        "Run = Type $1, Enter",
+        "",
+        "Output demo.gif",
+        "> Run $1",
+        "ls",
+        "Sleep 1s",
+      ].join("\n"),
+    );
+
+    expect(output.split("\n")).toEqual([
+      "Output demo.gif",
+      "Type `ls`",
+      "Enter",
+      "Sleep 1s",
+    ]);
+    expect(engine.getSourceMap()).toEqual([
+      { line: 3, stack: [] },
+      { line: 4, stack: ["Run", "Type"] },
+      { line: 4, stack: ["Run"] },
+      { line: 6, stack: [] },
+    ]);
+  });
+
+  it("gives every line of a multi-line macro result the same origin", () => {
+    const engine = createEngine();
+    engine.registerMacros({ Pair: () => ["Up\nDown"] }, { requireUse: false });
+
+    expect(engine.processText("Output a.gif\n> Pair")).toBe(
+      "Output a.gif\nUp\nDown",
+    );
+    expect(engine.getSourceMap()).toEqual([
+      { line: 1, stack: [] },
+      { line: 2, stack: ["Pair"] },
+      { line: 2, stack: ["Pair"] },
+    ]);
+  });
+
+  it("keeps the origin of lines added by postExpand transforms", () => {
+    const engine = createEngine();
+    engine.registerTransform("postExpand", (line) =>
+      line === "Enter" ? ["Enter", "Sleep 100ms"] : undefined,
+    );
+
+    engine.processText("> Type $1, Enter\nls");
+
+    expect(engine.getSourceMap()).toEqual([
+      { line: 1, stack: ["Type"] },
+      { line: 1, stack: [] },
+      { line: 1, stack: [] },
+    ]);
+  });
+
+  it("drops origins when a finalize transform changes the line count", () => {
+    const engine = createEngine();
+    engine.registerTransform("finalize", (lines) => [...lines, "Sleep 1s"]);
+
+    engine.processText("Output a.gif");
+
+    expect(engine.getSourceMap()).toEqual([null, null]);
+  });
+});
+
+describe("source map files", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-map-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("stores file and source relative to the map", () => {
+    const map = createSourceMap(
+      [],
+      path.join(tmpDir, "src", "demo.tape.pre"),
+      path.join(tmpDir, "dist", "demo.tape"),
+    );
+    expect(map).toEqual({
+      version: 1,
+      file: "demo.tape",
+      source: path.join("..", "src", "demo.tape.pre"),
+      lines: [],
+    });
+  });
+
+  it("round-trips through writeSourceMap and readSourceMap", () => {
+    const engine = createEngine();
+    engine.processText("Output a.gif\n> Type $1\nhi");
+    const outputPath = path.join(tmpDir, "demo.tape");
+
+    const mapPath = writeSourceMap(
+      engine,
+      path.join(tmpDir, "demo.tape.pre"),
+      outputPath,
+    );
+
+    expect(mapPath).toBe(sourceMapPath(outputPath));
+    const map = readSourceMap(mapPath);
+    expect(lookupLine(map, 2)).toEqual({ line: 2, stack: ["Type"] });
+    expect(lookupLine(map, 3)).toBeNull();
+  });
+
+  it("rejects missing and foreign maps", () => {
+    const mapPath = path.join(tmpDir, "demo.tape.map");
+    expect(() => readSourceMap(mapPath)).toThrow(/Source map not found/);
+
+    fs.writeFileSync(mapPath, JSON.stringify({ version: 3, mappings: "" }));
+    expect(() => readSourceMap(mapPath)).toThrow(/Not a pre-vhs source map/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the quote-aware comma tokenizer used by directives and aliases.
+ */
+
+import { describe, it, expect } from "vitest";
+
+import { createEngine, formatType } from "../src/index.js";
+import { splitTokens } from "../src/tokenizer.js";
+
+describe("splitTokens", () => {
+  it("splits on commas and trims tokens", () => {
+    expect(splitTokens(" Type $1 , Enter,, Sleep 1s ")).toEqual({
+      tokens: ["Type $1", "Enter", "Sleep 1s"],
+      issues: [],
+    });
+  });
+
+  it("keeps commas inside double, single and backtick quotes", () => {
+    expect(
+      splitTokens("Type \"a, b\", Type 'c, d', Type `e, f`, Enter").tokens,
+    ).toEqual(['Type "a, b"', "Type 'c, d'", "Type `e, f`", "Enter"]);
+  });
+
+  it("keeps escaped quotes inside a quoted run", () => {
+    expect(splitTokens('Type "say \\"hi, there\\"", Enter').tokens).toEqual([
+      'Type "say \\"hi, there\\""',
+      "Enter",
+    ]);
+  });
+
+  it("treats \\, as a literal comma outside quotes", () => {
+    expect(splitTokens("Type a\\, b, Enter").tokens).toEqual([
+      "Type a, b",
+      "Enter",
+    ]);
+  });
+
+  it("only opens quotes at the start of a word", () => {
+    expect(splitTokens("Type it's, Type don't").tokens).toEqual([
+      "Type it's",
+      "Type don't",
+    ]);
+  });
+
+  it("reports unterminated quotes and splits the rest as usual", () => {
+    expect(splitTokens('Type "a, b, Enter')).toEqual({
+      tokens: ['Type "a', "b", "Enter"],
+      issues: [{ message: 'Unterminated double quote (")', column: 6 }],
+    });
+  });
+});
+
+describe("quoted directives and aliases", () => {
+  it("passes quoted commas through directives", () => {
+    const engine = createEngine();
+    const out = engine.processText('> Type "a, b", Enter');
+    expect(out.split("\n")).toEqual([formatType("a, b"), "Enter"]);
+  });
+
+  it("passes quoted commas through alias bodies", () => {
+    const engine = createEngine();
+    const input = [
+      'Greet = Type "Hello, world", Enter',
+      "",
+      "> Greet",
+      '> Greet, Type "bye, now"',
+    ].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("Hello, world"),
+      "Enter",
+      formatType("Hello, world"),
+      "Enter",
+      formatType("bye, now"),
+    ]);
+  });
+
+  it("unescapes quotes that Type strips", () => {
+    const engine = createEngine();
+    expect(engine.processText('> Type "say \\"hi\\""')).toBe(
+      formatType('say "hi"'),
+    );
+  });
+
+  it("reports unterminated quotes in directives and aliases", () => {
+    const diagnostics = [];
+    const engine = createEngine({ onDiagnostic: (d) => diagnostics.push(d) });
+    const input = ["Oops = Type 'a, Enter", "", "> Type `b, Enter"].join("\n");
+
+    expect(engine.processText(input).split("\n")).toEqual([
+      formatType("`b"),
+      "Enter",
+    ]);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        code: "unterminated-quote",
+        message: "Unterminated single quote (')",
+        line: 1,
+        column: 13,
+      }),
+      expect.objectContaining({
+        code: "unterminated-quote",
+        message: "Unterminated backtick quote (`)",
+        line: 3,
+        column: 8,
+      }),
+    ]);
+  });
+});
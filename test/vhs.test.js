@@ -0,0 +1,95 @@
+/**
+ * Tests for running VHS on compiled tapes (src/vhs.js), using a stub binary.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { runVhs, runVhsOnText } from "../src/vhs.js";
+
+function writeStub(dir, exitCode) {
+  const stubPath = path.join(dir, "vhs-stub");
+  fs.writeFileSync(
+    stubPath,
+    [
+      "#!/bin/sh",
+      `echo "$1" > "${dir}/args.txt"`,
+      `cat "$1" > "${dir}/seen.tape"`,
+      `pwd > "${dir}/cwd.txt"`,
+      `exit ${exitCode}`,
+      "",
+    ].join("\n"),
+  );
+  fs.chmodSync(stubPath, 0o755);
+  return stubPath;
+}
+
+describe("runVhs", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.realpathSync(
+      fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-vhs-test-")),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("runs the binary on the tape from the given cwd", () => {
+    const vhsBin = writeStub(tmpDir, 0);
+    const tapePath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(tapePath, "Output demo.gif\n");
+
+    expect(runVhs(tapePath, { vhsBin, cwd: tmpDir })).toBe(0);
+    expect(fs.readFileSync(path.join(tmpDir, "args.txt"), "utf8")).toBe(
+      `${tapePath}\n`,
+    );
+    expect(fs.readFileSync(path.join(tmpDir, "cwd.txt"), "utf8")).toBe(
+      `${tmpDir}\n`,
+    );
+  });
+
+  it("returns the binary's exit code", () => {
+    const vhsBin = writeStub(tmpDir, 3);
+    const tapePath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(tapePath, "Output demo.gif\n");
+
+    expect(runVhs(tapePath, { vhsBin })).toBe(3);
+  });
+
+  it("throws a helpful error when the binary is missing", () => {
+    expect(() =>
+      runVhs("demo.tape", { vhsBin: path.join(tmpDir, "no-such-vhs") }),
+    ).toThrow(/Could not run .*no-such-vhs: not found \(set --vhs-bin\)/);
+  });
+});
+
+describe("runVhsOnText", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-vhs-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("runs VHS on a temporary tape and removes it afterwards", () => {
+    const vhsBin = writeStub(tmpDir, 0);
+
+    expect(runVhsOnText("Type `hi`\n", { vhsBin })).toBe(0);
+
+    const tapePath = fs
+      .readFileSync(path.join(tmpDir, "args.txt"), "utf8")
+      .trim();
+    expect(fs.readFileSync(path.join(tmpDir, "seen.tape"), "utf8")).toBe(
+      "Type `hi`\n",
+    );
+    expect(fs.existsSync(tapePath)).toBe(false);
+  });
+});
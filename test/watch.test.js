@@ -0,0 +1,212 @@
+/**
+ * Tests for watch mode (src/watch.js).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+import { watchFile } from "../src/watch.js";
+import { formatType } from "../src/index.js";
+
+function writePack(file, label) {
+  fs.writeFileSync(
+    file,
+    `module.exports = function (engine) {
+  engine.registerMacros(
+    { Label: () => [engine.helpers.formatType("${label}")] },
+    { requireUse: false },
+  );
+};
+`,
+  );
+}
+
+describe("watchFile", () => {
+  let tmpDir;
+  let originalCwd;
+  let watcher;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pre-vhs-watch-test-"));
+    originalCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    if (watcher) watcher.close();
+    watcher = null;
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function compileTo(inputPath, outputPath) {
+    return (engine) => {
+      const input = fs.readFileSync(inputPath, "utf8");
+      fs.writeFileSync(outputPath, engine.processText(input), "utf8");
+    };
+  }
+
+  it("builds once on start and watches the input and its local packs", () => {
+    const packPath = path.join(tmpDir, "label.js");
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    writePack(packPath, "v1");
+    fs.writeFileSync(inputPath, "Pack ./label.js\n\n> Label\n");
+
+    const onBuild = vi.fn();
+    watcher = watchFile({
+      inputPath,
+      build: compileTo(inputPath, outputPath),
+      onBuild,
+    });
+
+    expect(onBuild).toHaveBeenCalledTimes(1);
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toBe(
+      formatType("v1"),
+    );
+    expect(watcher.watchedFiles().sort()).toEqual([inputPath, packPath].sort());
+  });
+
+  it("picks up edited pack code on rebuild", () => {
+    const packPath = path.join(tmpDir, "label.js");
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    writePack(packPath, "before");
+    fs.writeFileSync(inputPath, "Pack ./label.js\n\n> Label\n");
+
+    watcher = watchFile({ inputPath, build: compileTo(inputPath, outputPath) });
+    writePack(packPath, "after");
+    watcher.rebuild();
+
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toBe(
+      formatType("after"),
+    );
+  });
+
+  it("resolves extensionless pack paths to the loaded file", () => {
+    const packPath = path.join(tmpDir, "label.js");
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    writePack(packPath, "v1");
+    fs.writeFileSync(inputPath, "Pack ./label\n\n> Label\n");
+
+    watcher = watchFile({ inputPath, build: compileTo(inputPath, outputPath) });
+    expect(watcher.watchedFiles().sort()).toEqual([inputPath, packPath].sort());
+
+    writePack(packPath, "v2");
+    watcher.rebuild();
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toBe(
+      formatType("v2"),
+    );
+  });
+
+  it("watches and reloads local modules a pack requires", () => {
+    const helperPath = path.join(tmpDir, "text.js");
+    const packPath = path.join(tmpDir, "label.js");
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(helperPath, 'module.exports = "v1";\n');
+    fs.writeFileSync(
+      packPath,
+      `const text = require("./text");
+module.exports = function (engine) {
+  engine.registerMacros(
+    { Label: () => [engine.helpers.formatType(text)] },
+    { requireUse: false },
+  );
+};
+`,
+    );
+    fs.writeFileSync(inputPath, "Pack ./label.js\n\n> Label\n");
+
+    watcher = watchFile({ inputPath, build: compileTo(inputPath, outputPath) });
+    expect(watcher.watchedFiles().sort()).toEqual(
+      [inputPath, packPath, helperPath].sort(),
+    );
+
+    fs.writeFileSync(helperPath, 'module.exports = "v2";\n');
+    watcher.rebuild();
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toBe(
+      formatType("v2"),
+    );
+  });
+
+  it("does not watch first-party packs", () => {
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(
+      inputPath,
+      "Pack builtins\nUse TypeEnter\n\n> TypeEnter ls\n",
+    );
+
+    watcher = watchFile({ inputPath, build: compileTo(inputPath, outputPath) });
+    expect(watcher.watchedFiles()).toEqual([inputPath]);
+  });
+
+  it("reports build errors without stopping", () => {
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(inputPath, "> Type $1\nok\n");
+
+    let fail = true;
+    const onError = vi.fn();
+    watcher = watchFile({
+      inputPath,
+      build: (engine) => {
+        if (fail) throw new Error("boom");
+        compileTo(inputPath, outputPath)(engine);
+      },
+      onError,
+    });
+
+    expect(onError).toHaveBeenCalledWith(expect.any(Error));
+    expect(watcher.watchedFiles()).toEqual([inputPath]);
+
+    fail = false;
+    watcher.rebuild();
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toContain(
+      "Type `ok`",
+    );
+  });
+
+  it("rebuilds when the input file changes on disk", async () => {
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    const outputPath = path.join(tmpDir, "demo.tape");
+    fs.writeFileSync(inputPath, "> Type $1\nfirst\n");
+
+    let resolveBuild;
+    const rebuilt = new Promise((resolve) => {
+      resolveBuild = resolve;
+    });
+    let builds = 0;
+    watcher = watchFile({
+      inputPath,
+      build: compileTo(inputPath, outputPath),
+      onBuild: () => {
+        builds += 1;
+        if (builds === 2) resolveBuild();
+      },
+      interval: 20,
+      debounce: 10,
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    fs.writeFileSync(inputPath, "> Type $1\nsecond, changed\n");
+    await rebuilt;
+
+    expect(fs.readFileSync(outputPath, "utf8").trimEnd()).toBe(
+      formatType("second, changed"),
+    );
+  });
+
+  it("stops watching after close", () => {
+    const inputPath = path.join(tmpDir, "demo.tape.pre");
+    fs.writeFileSync(inputPath, "Output x\n");
+
+    watcher = watchFile({ inputPath, build: () => {} });
+    watcher.close();
+    expect(watcher.watchedFiles()).toEqual([]);
+  });
+});